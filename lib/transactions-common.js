@@ -12,24 +12,9 @@
 Transactions = new Mongo.Collection("transactions");
 
 if (Meteor.isServer) {
+  // The client doesn't insert or update transaction documents itself -- instant writes are recorded by the _meteorTransactionsRecord method
+  // so the server decides what goes on the record (the state of each write and the copies of removed documents)
   Transactions.allow({
-    insert: function (userId, doc) { return (_.has(doc, "items") || doc.user_id !== userId) ? false : true; },
-    update: function (userId, doc, fields, modifier) { 
-      if (userId !== doc.user_id) {
-        // TODO -- this condition will need to be modified to allow an admin to look through transactions and undo/redo them from the client
-        // That said, an admin interface shouldn't really be messing with the transactions collection from the client anyway, so ignoring this for now
-        return false;
-      }
-      else {
-        if (tx._validateModifier(modifier,doc._id)) {
-          return true;
-        }
-        else {
-          // Transactions.remove({_id:doc._id});
-          return false; 
-        }
-      }
-    },
     remove: function (userId, doc) {
       var fullDoc = Transactions.findOne({_id:doc._id});
       return fullDoc && fullDoc.user_id === userId;
@@ -70,6 +55,15 @@ Transact = function () {
   
   this.checkPermission = function (command, collection, doc, modifier) { return true; }; // commands are "insert", "update", "remove"
   
+  // Rules for individual collections, set using tx.permissions(collection, rules), indexed by collection name
+  // These are checked as well as tx.checkPermission
+  
+  this._permissionRules = {};
+  
+  // If this is true, actions on collections that don't have a rule for them (set using tx.permissions) are denied
+  
+  this.denyByDefault = false;
+  
   // For the purpose of filtering transactions later, a "context" field is added to each transaction
   // By default, we don't do anything -- the context is empty, but there are probably certain fields in the document that we could record to use for filtering.
   // Remember, if there are multiple document being processed by a single transaction, the values from the last document in the queue will overwrite values for fields that have taken a value from a previous document - last write wins
@@ -84,6 +78,7 @@ Transact = function () {
   
   // Publish user's transactions from the last five minutes (publication not reactive - so it will be everything from 5 minutes before the user's last page refresh)
   // i.e. if the user doesn't refresh their page for 40 minutes, the last 45 minutes worth of their transactions will be published to the client
+  // This is the limit used by the publication behind `tx.canUndo()`, `tx.canRedo()`, `tx.undoStack()` and `tx.redoStack()` on the client
   
   this.undoTimeLimit = 5 * 60; // Number of seconds
   
@@ -91,6 +86,25 @@ Transact = function () {
   
   this.onTransactionExpired = function () { alert('Sorry. Other edits have been made, so this action can no longer be reversed.'); };
   
+  // This is checked on the server whenever a user tries to undo or redo a transaction, including by its txid
+  // By default, users can only undo and redo their own transactions
+  // `action` is "undo" or "redo" and `transaction` is the document from the transactions collection
+  
+  this.canActOnTransaction = function (userId, transaction, action) { return transaction.user_id === userId; };
+  
+  // Admins can undo and redo any user's transactions using tx.adminUndo(txid) and tx.adminRedo(txid)
+  // Overwrite this with your own check, e.g. tx.isAdmin = function (userId) { return Roles.userIsInRole(userId, 'admin'); }
+  
+  this.isAdmin = function (userId) { return false; };
+  
+  // Handlers registered with tx.on(event, fn), indexed by event name
+  
+  this._eventHandlers = {};
+  
+  // Hooks registered with tx.before(collection, hooks) and tx.after(collection, hooks), indexed by collection name then action
+  
+  this._hooks = {before: {}, after: {}};
+  
   // If app code forgets to close a transaction on the server, it will autoclose after the following number of milliseconds
   // If a transaction is open on the client, it just stays open indefinitely
   
@@ -112,18 +126,50 @@ Transact = function () {
   
   this.selfRepairMode = 'complete';
   
+  // While a server is writing a transaction, undo or redo, it holds a lease on the transaction document
+  // (the `owner` and `leaseExpires` fields), which it renews with every item it writes
+  // The repair script will only touch an incomplete transaction once its lease has expired
+  // so that, with several app servers on one database, a server never repairs a transaction that another is still writing
+  // `tx.leaseDuration` is in milliseconds
+  
+  this.leaseDuration = 60000;
+  
+  // Set `tx.recoveryInterval` (in milliseconds) to have the server periodically look for transactions that are stuck part way through
+  // (i.e. in a 'pending', 'complete', 'rollback', 'undoing' or 'redoing' state) and repair them using `tx.selfRepairMode`
+  // Only transactions that were last modified more than `tx.recoveryThreshold` milliseconds ago
+  // and that no server holds a lease on are repaired
+  
+  this.recoveryInterval = null;
+  this.recoveryThreshold = 600000;
+  
+  // Identifies this server as the owner of a lease
+  
+  this._instanceId = Random.id();
+  
   // If you want to limit the volume of rubbish in the transactions collection
   // you can set `tx.removeRolledBackTransactions = true`
   // It is false by default because having a record in the db helps with debugging
   
   this.removeRolledBackTransactions = false;
   
+  // Set `tx.clearRedoStackOnCommit = true` for the usual editor behaviour, where making a new change after an undo
+  // means the undone transactions can no longer be redone (they are flagged as expired)
+  // Only the redo stack for the scope of the new transaction is cleared
+  
+  this.clearRedoStackOnCommit = false;
+  
+  // The default number of milliseconds within which consecutive transactions started with the same `coalesceKey` are merged
+  // e.g. tx.start('edit title', {coalesceKey: 'title:' + post._id}) for a field that is saved on every keystroke
+  
+  this.coalesceWindow = 2000;
+  
   // Functions to work out the inverse operation that will reverse a single collection update command.
   // This default implementation attempts to reverse individual array $set and $addToSet operations with
   // corresponding $pull operations, but this may not work in some cases, eg:
   // 1.  if a $set operation does nothing because the value is already in the array, the inverse $pull will remove that value freom the array, even though
   //     it was there before the $set action
   // 2.  if a $addToSet operation had a $each qualifier (to add multiple values), the default inverse $pull operation will fail because $each is not suported for $pull operations
+  // $push operations are reversed by restoring the entire state of the array, so $each, $position, $slice and $sort are all supported
   // 
   // You may wish to provide your own implementations that override some of these functions to address these issues if they affect your own application.
   // For example, store the entire state of the array being mutated by a $set / $addToSet or $pull operation, and then restore it using a inverse $set operation.
@@ -144,58 +190,114 @@ Transact = function () {
     },
     '$inc': this._inverseUsingSet,
     '$push': function (collection, existingDoc, updateMap, opt) {
-      // Inverse of $push is $pull.
-      // This will not work if $push uses modifiers like $each, or if pushed value has duplicates in same array (because $pull will remove all instances of that value).
-      // In that case, you need to restore state of original array using $set
-      return {command: '$pull', data: updateMap};
+      // Inverse of $push is to restore the original array using $set (or $unset, if there was no array)
+      // A $pull would remove every instance of the pushed value and couldn't reverse $each, $position, $slice or $sort
+      return this._inverseUsingSet(collection, existingDoc, updateMap, opt);
     },
+    '$pop': this._inverseUsingSet,
+    '$pullAll': this._inverseUsingSet,
+    '$mul': this._inverseUsingSet,
+    '$min': this._inverseUsingSet,
+    '$max': this._inverseUsingSet,
+    '$currentDate': this._inverseUsingSet,
+    '$rename': function (collection, existingDoc, updateMap, opt) {
+      // The values in a $rename map are the new field names, not values
+      // If every renamed field existed and its new name wasn't taken, the inverse is just a $rename back
+      // Otherwise we restore the former values of the fields under both their old and new names
+      var self = this, renameBack = {}, formerValues = {}, canRenameBack = true;
+      _.each(updateMap, function (newName, oldName) {
+        var oldValue = self._drillDown(existingDoc, oldName);
+        var newValue = self._drillDown(existingDoc, newName);
+        if (typeof oldValue === 'undefined' || typeof newValue !== 'undefined') {
+          canRenameBack = false;
+        }
+        renameBack[newName] = oldName;
+        if (typeof oldValue !== 'undefined') {
+          formerValues[oldName] = oldValue;
+        }
+        formerValues[newName] = newValue;
+      });
+      if (canRenameBack) {
+        return {command: '$rename', data: renameBack};
+      }
+      return this._inverseFromFormerValues(formerValues);
+    }
   };
 
   // ***************************
   // DONT OVERWRITE ANY OF THESE
   // ***************************
   
-  this._transaction_id = null;
-  this._autoTransaction = false;
-  this._items = [];
-  this._startAttempts = 0;
-  this._rollback = false;
-  this._rollbackReason = '';
-  this._autoCancel = null;
-  this._lastTransactionData = null;
-  this._context = {};
-  this._description = '';
+  // The state of the open transaction (`this._transaction_id`, `this._items`, etc.) isn't stored on `tx` itself
+  // It lives in a state object -- there is only one of these on the client, but every method invocation (or fiber, outside of methods) gets its own on the server (see `tx._getState`)
+  
+  this._defaultState = this._newState();
 
 }
 
+// These are the fields that hold the state of the open transaction
+// They are read and written as `this._transaction_id`, `this._items`, etc.,
+// but the accessors defined below route them to the state object for the current method invocation or fiber
+// so that two method invocations yielding on db writes can never mix their items or roll back each other's work
+
+var stateFields = ['_transaction_id', '_autoTransaction', '_items', '_savepoints', '_rollback', '_rollbackReason', '_vetoReason', '_autoCancel', '_lastTransactionData', '_context', '_description', '_scope', '_coalesce'];
+
+_.each(stateFields, function (field) {
+  Object.defineProperty(Transact.prototype, field, {
+    get: function () { return this._getState()[field]; },
+    set: function (value) { this._getState()[field] = value; }
+  });
+});
+
+// Lets us bind a particular state object to code that runs in a different fiber (e.g. the idleTimeout callback)
+
+var boundState = new Meteor.EnvironmentVariable();
+
+var Fiber = Meteor.isServer && Npm.require('fibers');
+
 // **********
 // PUBLIC API
 // **********
 
 /**
  *  Starts a transaction
+ *  If a transaction is already open, this creates a savepoint within it (i.e. a nested transaction) and returns the savepoint id
  */
 
-Transact.prototype.start = function (description) {
+Transact.prototype.start = function (description, options) {
   if (tx.requireUser && !Meteor.userId()) {
     this.log('User must be logged in to start a transaction.');
     this._cleanReset();
     return;
   }
   this._resetAutoCancel();
+  if (typeof description === 'undefined') {
+    description = 'last action';  
+  }
   if (!this._transaction_id) {
-    if (typeof description === 'undefined') {
-      description = 'last action';  
-    }
     this._description = description;
+    // The scope puts the transaction on its own undo stack, e.g. {scope: 'doc:123'} -- see `tx.undo({scope: ...})`
+    this._scope = (options && options.scope) || null;
+    // Transactions started with the same coalesceKey in quick succession are merged into a single undo step
+    this._coalesce = (options && options.coalesceKey) ? {key: options.coalesceKey, window: options.coalesceWindow || tx.coalesceWindow} : null;
     this._transaction_id = Random.id(); // Transactions.insert({user_id:Meteor.userId(),timestamp:(ServerTime.date()).getTime(),description:description});
     this.log('Started "' + description + '" with transaction_id: ' + this._transaction_id + ((this._autoTransaction) ? ' (auto started)' : ''));
     return this._transaction_id;
   }
   else {
-    this.log('An attempt to start a transaction ("' + description + '") was made when a transaction was already open. Open transaction_id: ' + this._transaction_id);
-    this._startAttempts++;
-    return false;    
+    // The matching commit merges the actions queued from here on into the open transaction
+    // and the matching rollback undoes only those actions
+    var savepoint = {
+      id: Random.id(),
+      description: description,
+      index: this._items.length,
+      rollback: this._rollback,
+      rollbackReason: this._rollbackReason,
+      vetoReason: this._vetoReason
+    };
+    this._savepoints.push(savepoint);
+    this.log('Started "' + description + '" as a nested transaction (savepoint: ' + savepoint.id + ') in open transaction_id: ' + this._transaction_id);
+    return savepoint.id;
   }
 }
 
@@ -225,74 +327,78 @@ Transact.prototype.commit = function (txid, callback, newId) {
     this._callback(txid, callback, new Meteor.Error('no-transactions-open','No transaction open.'), false);
     return;    
   }
-  if (!_.isFunction(txid) && typeof txid !== 'undefined' && txid !== this._transaction_id && _.isString(txid)) {
-    if (txid === null) {
+  if (txid === null || txid === this._transaction_id) {
+    // Commit the whole transaction, even if there are nested transactions still open
+    if (this._savepoints.length) {
       this.log("Forced commit");
+      this._savepoints = [];
     }
-    else {
-      this._startAttempts--;
-      this._callback(txid, callback, new Meteor.Error('multiple-transactions-open', 'More than one transaction open. Closing one now to leave ' + this._startAttempts + ' transactions open.'), false);
+  }
+  var savepoint = _.last(this._savepoints);
+  if (savepoint) {
+    if (_.isString(txid) && txid !== savepoint.id) {
+      this._callback(txid, callback, new Meteor.Error('multiple-transactions-open', 'Attempted to commit ' + txid + ' while the nested transaction "' + savepoint.description + '" (savepoint: ' + savepoint.id + ') is open.'), false);
+      return;
+    }
+    // The actions of the nested transaction are already in the queue, so just release the savepoint
+    this._savepoints.pop();
+    this.log('Merged nested transaction "' + savepoint.description + '" into transaction_id: ' + this._transaction_id);
+    if (this._rollback && !savepoint.rollback) {
+      // Something went wrong in the nested transaction, so the whole transaction is going to be rolled back
+      this._callback(txid, callback, this._rollbackError(), false);
       return;
     }
+    this._callback(txid, callback, null, true);
+    return true;
   }
-  if (this._startAttempts > 0 && !(!_.isFunction(txid) && typeof txid !== 'undefined' && (txid === this._transaction_id || txid === null))) {
-    this._startAttempts--;
-    this._callback(txid, callback, new Meteor.Error('multiple-transactions-open', 'More than one transaction open. Closing one now to leave ' + this._startAttempts + ' transactions open.'), false);
-    return;    
+  if (_.isString(txid) && txid !== this._transaction_id) {
+    this._callback(txid, callback, new Meteor.Error('multiple-transactions-open', 'Attempted to commit ' + txid + ' while transaction_id ' + this._transaction_id + ' is open.'), false);
+    return;
   }
-  if (_.isEmpty(this._items)) {
+  if (_.isEmpty(this._items) && !this._rollback) {
     // Don't record the transaction if nothing happened
     // Transactions.remove({_id:this._transaction_id});
     this.log('Empty transaction removed: ' + this._transaction_id);
+    this._lastTransactionData = {transaction_id: null, writes: []};
+    this._cleanReset();
+    this._callback(txid, callback, null, true);
   }
   else if (this._rollback) {
     // One or more permissions failed or the transaction was cancelled, don't process the execution stack
     this.log('Incomplete transaction removed: ' + this._transaction_id);
-    var error = this._rollbackReason;
-    var errorDescription = '';
-    switch (this._rollbackReason) {
-      case 'permission-denied' :
-        errorDescription = 'One or more permissions were denied, so transaction was rolled back.';
-        break;
-      case 'transaction-cancelled' :
-        errorDescription = 'The transaction was cancelled programatically, so it was rolled back.';
-        break;
-      default :
-        errorDescription = 'An error occurred when processing an action.';
-        suppressError = false;
-        break;
-    }
+    var error = this._rollbackError();
     this.rollback();
-    this._callback(txid,callback,new Meteor.Error(error, errorDescription),false);
+    this._callback(txid,callback,error,false);
     return;
   }
   else {
     this.log('Beginning commit with transaction_id: ' + this._transaction_id);
     try {
+      // Copies of removed documents are recorded by the server, so the client doesn't send its own
+      var items = (Meteor.isClient) ? _.map(this._items, function (item) { return _.omit(item, 'doc'); }) : this._items;
       // This will be async in the client and syncronous on the server
-      Meteor.call("_meteorTransactionsProcess",this._transaction_id, this._description, this._items, this._context, function (err, res) {
-        if (err) {
-          console.log(err);    
-        }
-        else {
-          if (!self._lastTransactionData) {
-            self._lastTransactionData = {};    
+      // On the server, the method runs in an invocation of its own, so it's bound to this transaction's state
+      boundState.withValue(this._getState(), function () {
+        Meteor.call("_meteorTransactionsProcess",self._transaction_id, self._description, items, self._context, self._scope, self._coalesce, function (err, res) {
+          if (err || !res) {
+            // Either the method threw or the server had to roll the transaction back
+            self.log(err || 'Transaction was rolled back: ' + self._transaction_id);
+            self._cleanReset();
+            self._callback(txid, callback, err || new Meteor.Error('error', 'An error occurred when processing an action, so transaction was rolled back.'), false);
           }
-          self._lastTransactionData.transaction_id = self._transaction_id;
-          self._lastTransactionData.writes = res.items;
-          var newIds = _.reduce(res.items, function (memo, item) {
-            if (item.action === 'insert') {
-              if (typeof memo[item.collection] === "undefined") {
-                memo[item.collection] = [];  
-              }
-              memo[item.collection].push(item._id);
+          else {
+            if (!self._lastTransactionData) {
+              self._lastTransactionData = {};    
             }
-            return memo;
-          },{});
-          self._cleanReset();
-          self.log("Commit reset transaction manager to clean state");
-          self._callback(txid, callback, null, newIds || true);
-        }
+            // If this transaction was coalesced with an earlier one, the earlier one's _id is returned
+            self._lastTransactionData.transaction_id = res.transaction_id || self._transaction_id;
+            self._lastTransactionData.writes = res.items;
+            var newIds = self._newIds(res.items);
+            self._cleanReset();
+            self.log("Commit reset transaction manager to clean state");
+            self._callback(txid, callback, null, newIds || true);
+          }
+        });
       });
       /*Transactions.update({_id:this._transaction_id}, {$set:_.extend({context:this._context}, {items:this._items})});*/
     }
@@ -310,89 +416,88 @@ Transact.prototype.commit = function (txid, callback, newId) {
 
 /**
  * Allows programmatic call of a rollback
+ * If a nested transaction is open, only the actions queued since its savepoint are rolled back
  */
 
 Transact.prototype.rollback = function () {
-  // Need to undo all the instant stuff that's been done
-  // TODO -- this is pretty half-baked -- we should be checking that actions are actually completed before continuing -- not just watching for errors
-  // Eventually, this should be rolled into a single universal function
-  // that iterates over the items array and makes db writes
-  var self = this;
+  var savepoint = this._savepoints.pop();
+  if (savepoint) {
+    this._rollbackToSavepoint(savepoint);
+    return;
+  }
+  if (!this._transaction_id) {
+    // Nothing to roll back or report
+    this._cleanReset();
+    return;
+  }
   var items = this._items;
-  var error = false;
-  _.each(items, function (obj, index) {
-    if (obj.action === "remove") {
-      if (obj.instant) {
-        try {
-          if (obj.doc) {
-            // This was removed from the collection, we need to reinsert it
-            tx.collectionIndex[obj.collection].insert(obj.doc);
-          }
-          else {
-            // This was soft deleted, we need to remove the deleted field
-            tx.collectionIndex[obj.collection].update({_id: obj._id}, {$unset: {deleted: 1, transaction_id: self._transaction_id}});
-          }
-          self.log('Rolled back remove');
-        }
-        catch (err) {
-          self.log(err);
-          error = true;
-        }
-      }
-    }
-      if (obj.action === "update") {
-      if (obj.instant && typeof obj.inverse !== 'undefined' && obj.inverse.command && obj.inverse.data) {
-        var operation = {};
-        operation[obj.inverse.command] = self._unpackageForUpdate(obj.inverse.data); // console.log(operation);
-        try {  
-          tx.collectionIndex[obj.collection].update({_id: obj._id},operation);
-          self.log('Rolled back update');
-        }
-        catch (err) {
-          self.log(err);
-          error = true;
-        }
-      }
-      }
-      if (obj.action === "insert") {
-      if (obj.instant) {
-        var sel = {_id: obj._id};
-        // This transaction_id check is in case the document has been subsequently edited -- in that case, we don't want it removed from the database completely
-        sel.transaction_id = self._transaction_id;
-        try {
-          tx.collectionIndex[obj.collection].remove(sel);
-          self.log('Rolled back insert');
-        }
-        catch (err) {
-          self.log(err);
-          error = true;
-        }
-      }
-    }
-    if (!error) {
-      self._changeItemState({
-        txid: self._transaction_id,
-        index: index,
-        state: "rolledBack"
-      });
-    }
-  });
+  var error = this._rollbackItems(items, 0);
   if (error) {
     this.log("Rollback failed -- you'll need to check your database manually for corrupted records.");
     this.log("Here is a log of the actions that were tried and their inverses:");
     this.log("(it was probably one of the inverse actions that caused the problem here)");
     this.log(items);    
   }
+  // Transactions without instant actions never made it into the transactions collection, so we describe them from the queue
+  var transaction = Transactions.findOne({_id: this._transaction_id}) || {_id: this._transaction_id, description: this._description, items: items};
   if (tx.removeRolledBackTransactions) {
     Transactions.remove({_id: this._transaction_id});
   }
   else {
-    Transactions.update({_id: this._transaction_id}, {$set: {state: "rolledBack"}}); 
+    Transactions.update({_id: this._transaction_id}, {$set: {state: "rolledBack"}, $unset: {owner: 1, leaseExpires: 1}}); 
+    transaction.state = "rolledBack";
   }
-  self._cleanReset();
+  var reason = this._rollbackReason;
+  this._cleanReset();
+  this._fireEvent('rollback', transaction, {success: !error, reason: reason});
   this.log("Rollback reset transaction manager to clean state");
 }
 
+/**
+ * Runs a function inside a transaction, which is committed if the function returns normally
+ * If the function throws, the transaction is rolled back and the error is rethrown
+ * Returns the same result the commit callback receives (on the server only -- commits are async on the client, so use the callback)
+ */
+
+Transact.prototype.run = function (description, fn, callback) {
+  if (_.isFunction(description)) {
+    callback = fn;
+    fn = description;
+    description = undefined;
+  }
+  var txid = this.start(description);
+  if (!this.transactionStarted()) {
+    // tx.start doesn't open a transaction if tx.requireUser is set and no one is logged in
+    var notLoggedIn = new Meteor.Error('not-logged-in', 'User must be logged in to run a transaction.');
+    if (_.isFunction(callback)) {
+      callback.call(this._lastTransactionData, notLoggedIn, false);
+      return false;
+    }
+    throw notLoggedIn;
+  }
+  try {
+    fn.call(this);
+  }
+  catch (err) {
+    this.log('Rolling back transaction because an error was thrown:', err);
+    this.rollback();
+    throw err;
+  }
+  var result, error = null;
+  this.commit(txid || undefined, function (err, res) {
+    result = res;
+    error = err;
+    if (_.isFunction(callback)) {
+      callback.call(this, err, res);
+    }
+  });
+  if (error && !_.isFunction(callback)) {
+    // Without a callback, the only way to hear that the commit failed (e.g. that the transaction was rolled back) is an exception
+    throw error;
+  }
+  return result;
+}
+
 /**
  * Queue an insert
  */
@@ -409,6 +514,11 @@ Transact.prototype.insert = function (collection, newDoc, opt, callback) {
   }
   opt = (_.isObject(opt)) ? _.omit(opt,'tx') : undefined; // This is in case we're going to pass this options object on to, say, collection2 (tx must be gone or we'll create an infinite loop)
   // NOTE: "collection" is the collection object itself, not a string
+  var vetoReason = this._runBeforeHooks('insert', collection, newDoc);
+  if (vetoReason !== null) {
+    this._vetoAction('insert', collection, vetoReason, callback);
+    return;
+  }
   if (this._permissionCheckOverridden(opt) || this._permissionCheck("insert", collection, newDoc, {})) {
     var self = this;
     this._openAutoTransaction('add ' + collection._name.slice(0, - 1));
@@ -439,7 +549,8 @@ Transact.prototype.insert = function (collection, newDoc, opt, callback) {
         this._rollbackReason = 'insert-error';
       }
     }
-    var newId = Random.id();
+    // The new doc keeps its own _id if it has one (e.g. from the selector of an upsert)
+    var newId = newDoc._id || Random.id();
     // var newId = self._doInsert(collection,_.extend(newDoc,{transaction_id:self._transaction_id}),opt,callback);
     self._pushToRecord("insert", collection, newId, {newDoc: newDoc}, false, self._permissionCheckOverridden(opt));
     this.log("Pushed insert command to stack: " + this._transaction_id); //  + ' (Auto: ' + this._autoTransaction + ')'
@@ -472,10 +583,21 @@ Transact.prototype.remove = function (collection, doc, opt, callback) {
   if (opt && _.isObject(opt.tx)) {
     opt = opt.tx;
   }
+  var self = this;
+  if (this._isSelector(doc)) {
+    // Remove every document matching the selector, each as a separate action in the same transaction
+    return this._actOnSelector('remove', collection, doc, opt, callback, function (selectedDoc, itemOpt) {
+      self.remove(collection, selectedDoc, itemOpt);
+    });
+  }
   var _id = (_.isObject(doc)) ? doc._id : doc;
   var existingDoc = (!_.isObject(doc)) ? collection.findOne({_id:doc}) : doc;
+  var vetoReason = this._runBeforeHooks('remove', collection, existingDoc);
+  if (vetoReason !== null) {
+    this._vetoAction('remove', collection, vetoReason, callback);
+    return;
+  }
   if (this._permissionCheckOverridden(opt) || this._permissionCheck("remove", collection, existingDoc, {})) {
-    var self = this;
     this._openAutoTransaction('remove ' + collection._name.slice(0, - 1));
     var sel = {_id: _id};
     if (Meteor.isServer) {
@@ -527,12 +649,27 @@ Transact.prototype.update = function (collection, doc, updates, opt, callback) {
   }
   var opt = (_.isObject(opt)) ? _.omit(opt,'tx') : undefined;
   var self = this;
+  if (opt && opt.upsert) {
+    return this.upsert(collection, doc, updates, opt, callback);
+  }
+  if (this._isSelector(doc)) {
+    // Update the first document matching the selector (or all of them, with {multi: true}), each as a separate action in the same transaction
+    return this._actOnSelector('update', collection, doc, opt, callback, function (selectedDoc, itemOpt) {
+      // Each update gets its own copy of the modifier, as the instant update code adds a transaction_id to it
+      self.update(collection, selectedDoc._id, EJSON.clone(updates), itemOpt);
+    });
+  }
   var _id = (_.isObject(doc)) ? doc._id : doc;
   var existingDoc = collection.findOne({_id: _id});
   // var existingDoc = (!_.isObject(doc)) ? collection.findOne({_id:_id}) : doc;
   // the above is slightly more efficient, in that it doesn't hit the database again
   // but potential buggy behaviour if a partial doc is passed and the field being updated
   // isn't in it and it's a $set command and so the inverse is wrongly taken to be $unset
+  var vetoReason = this._runBeforeHooks('update', collection, existingDoc, updates);
+  if (vetoReason !== null) {
+    this._vetoAction('update', collection, vetoReason, callback);
+    return;
+  }
   if (this._permissionCheckOverridden(opt) || this._permissionCheck("update", collection, existingDoc, updates)) {
     this._openAutoTransaction('update ' + collection._name.slice(0, - 1));
     var actionFields = _.pairs(updates); // console.log(actionField);
@@ -586,6 +723,38 @@ Transact.prototype.update = function (collection, doc, updates, opt, callback) {
   }
 }
 
+/**
+ * Queue an upsert
+ * This is recorded as an update if a document matches the selector, or as an insert if one doesn't
+ */
+
+Transact.prototype.upsert = function (collection, selector, updates, opt, callback) {
+  if (this._rollback || (tx.requireUser && !Meteor.userId())) {
+    return;    
+  }
+  var callback = (_.isFunction(callback)) ? callback : ((typeof opt !== 'undefined') ? ((_.isFunction(opt)) ? opt : ((_.isFunction(opt.callback)) ? opt.callback : undefined)) : undefined);
+  if (opt && _.isObject(opt.tx)) {
+    opt = opt.tx;
+  }
+  // The upsert has to be stripped out, or the update will be passed straight back here (or on to collection2)
+  var opt = (_.isObject(opt) && !_.isFunction(opt)) ? _.omit(opt, 'tx', 'upsert', '_returnObject') : undefined;
+  var existingDoc = (this._isSelector(selector)) ? collection.findOne(selector) : collection.findOne({_id: (_.isObject(selector)) ? selector._id : selector});
+  if (existingDoc) {
+    if (!this._isModifier(updates)) {
+      // A replacement document -- we can only record this as a set of the new fields and an unset of the others
+      var unsetFields = _.reduce(_.keys(_.omit(existingDoc, _.keys(updates).concat(['_id', 'transaction_id']))), function (memo, key) {
+        memo[key] = 1;
+        return memo;
+      }, {});
+      updates = _.pick({$set: _.omit(updates, '_id'), $unset: unsetFields}, function (fields) { return !_.isEmpty(fields); });
+    }
+    this.log("Upsert matched a document, so it will be recorded as an update");
+    return this.update(collection, existingDoc._id, updates, opt, callback);
+  }
+  this.log("Upsert didn't match a document, so it will be recorded as an insert");
+  return this.insert(collection, this._upsertDoc(selector, updates), opt, callback);
+}
+
 /**
  * Cancels a transaction, but doesn't roll back immediately
  * When the transaction is committed, no queued actions will be executed
@@ -605,12 +774,17 @@ Transact.prototype.cancel = function () {
 Transact.prototype.undo = function (txid, callback) {
   var self = this;
   var callback = (_.isFunction(txid)) ? txid : callback;
+  if (this._isStepOptions(txid)) {
+    this._callSteps("_meteorTransactionsUndoSteps", this._stepOptions(txid), callback);
+    return;
+  }
   Meteor.call("_meteorTransactionsUndo", (_.isString(txid)) ? txid : null, function (err, res) {
-    if (Meteor.isClient && res && _.isFunction(self.onTransactionExpired)) {
-      self.onTransactionExpired.call(self, err, res);
+    var expired = !!(res && res.expired);
+    if (Meteor.isClient && expired && _.isFunction(self.onTransactionExpired)) {
+      self.onTransactionExpired.call(self, err, expired);
     }
     if (_.isFunction(callback)) {
-      callback.call(self, err, !res);
+      callback.call(self, err, !err && !expired);
     }
   });
 }
@@ -622,88 +796,273 @@ Transact.prototype.undo = function (txid, callback) {
 Transact.prototype.redo = function (txid, callback) {
   var self = this;
   var callback = (_.isFunction(txid)) ? txid : callback;
+  if (this._isStepOptions(txid)) {
+    this._callSteps("_meteorTransactionsRedoSteps", this._stepOptions(txid), callback);
+    return;
+  }
   Meteor.call("_meteorTransactionsRedo", (_.isString(txid)) ? txid : null, function (err, res) {
-    if (Meteor.isClient && res && _.isFunction(self.onTransactionExpired)) {
-      self.onTransactionExpired.call();  
+    var expired = !!(res && res.expired);
+    if (Meteor.isClient && expired && _.isFunction(self.onTransactionExpired)) {
+      self.onTransactionExpired.call(self, err, expired);
     }
     if (_.isFunction(callback)) {
-      callback.call(self, err, !res);
+      callback.call(self, err, !err && !expired);
     }
   });
 }
 
-// **********************************************************
-// INTERNAL METHODS - NOT INTENDED TO BE CALLED FROM APP CODE
-// **********************************************************
+/**
+ * Register a function to be called on the server after a transaction changes state
+ * Events are "commit", "rollback", "undo", "redo", "expire" (an undo or redo that couldn't be done) and "repair"
+ * The function is called with the tx object as `this`, and gets (transaction, outcome)
+ * where `transaction` is the full transaction document and `outcome` describes what happened
+ */
 
-Transact.prototype._doInsert = function (collection, newDoc, opt, callback) {
-  // The following is a very sketchy attempt to support collection2 options
-  // Requires aldeed:collection2 to be before babrahams:transactions in .packages
-  // which we do through a weak dependency on aldeed:collection2
-  if (this._Collection2Support(collection, opt)) {
-    // This is a brutal workaround to allow collection2 options to do their work
-    var newId = null;
-    var error = null;
-    collection.insert(newDoc, opt, function (err, newId) { 
-      if (!err) {
-        newId = newId;
-      }
-      else {
-        error = err;    
-      }
-    });
-    if (_.isFunction(callback)) { // Let the app handle the error via its own callback
-      callback(error, newId);
-    }
-    if (newId) {
-      return newId;
-    }
-    else {
-      throw new Meteor.Error('Insert failed: ' + (error && error.message || 'reason unknown.'),(error && error.reason || ''));  
-    }
-  }
-  else {
-    return collection.insert(newDoc,callback);
+Transact.prototype.on = function (event, fn) {
+  if (!_.contains(['commit', 'rollback', 'undo', 'redo', 'expire', 'repair'], event)) {
+    throw new Meteor.Error('unknown-event', 'There is no "' + event + '" event.');
   }
+  this._eventHandlers[event] = (this._eventHandlers[event] || []).concat([fn]);
 }
 
-Transact.prototype._doRemove = function (collection, _id, sel, instant, opt, callback) {
-  if (!_.isFunction(callback)) {
-    callback = undefined;  
-  }
-  var self = this;
-  if ((opt && typeof opt.softDelete !== 'undefined' && opt.softDelete) || (opt && typeof opt.softDelete === 'undefined' && tx.softDelete) || (typeof opt === 'undefined' && tx.softDelete)) {
-    self._pushToRecord("remove", collection, _id, null, instant, self._permissionCheckOverridden(opt));
-    if (instant) {
-      var item = self._createItem("remove", collection, _id, null, instant, self._permissionCheckOverridden(opt));
-      self._recordTransaction(item);
-      collection.update(sel, {$set: {deleted: ServerTime.date(), transaction_id: self._transaction_id}}, callback);
+/**
+ * Unregister a function registered with tx.on
+ */
+
+Transact.prototype.off = function (event, fn) {
+  this._eventHandlers[event] = _.without(this._eventHandlers[event] || [], fn);
+}
+
+/**
+ * Set the permission rules for a collection (the collection or its name)
+ * `rules` is of the form {insert: fn, update: fn, remove: fn, undo: fn, redo: fn}
+ * and each function gets (userId, doc, modifier, action), with `this` as the tx object, and returns true to allow the action
+ * The undo and redo rules are used instead of the rule for the original action when a transaction is undone or redone
+ * For updates, the rules are called with both the update and its inverse as the modifier
+ * An action with no rule is allowed, unless `tx.denyByDefault` is true
+ * These rules are checked as well as `tx.checkPermission`, not instead of it
+ */
+
+Transact.prototype.permissions = function (collection, rules) {
+  var name = (_.isString(collection)) ? collection : collection._name;
+  _.each(rules, function (fn, action) {
+    if (!_.contains(['insert', 'update', 'remove', 'undo', 'redo'], action)) {
+      throw new Meteor.Error('unknown-action', 'There is no "' + action + '" action to set a permission rule for.');
     }
-    return;
-  }
-  var fields = {hardDelete: true};
-  // Hard delete document
-  if (instant) {
-    var fullDoc = collection.findOne(sel);
-    fields.doc = fullDoc;
-    fields.doc.transaction_id = self._transaction_id;
-    fields.doc.deleted = ServerTime.date();
-    var item = self._createItem("remove", collection, _id, fields, instant, self._permissionCheckOverridden(opt));
-    self._recordTransaction(item);
-    collection.remove(sel,callback);
-  }
-  self._pushToRecord("remove", collection ,_id, fields, instant, self._permissionCheckOverridden(opt)); // null is for field data (only used for updates) and true is to mark this as an instant change
+  });
+  this._permissionRules[name] = _.extend(this._permissionRules[name] || {}, rules);
 }
 
-Transact.prototype._doUpdate = function (collection, _id, updates, updateData, inverseData, instant, opt, callback, execute) {
-  var self = this;
-  if (instant) {
-    if (execute) {
-      if (!_.isFunction(callback)) {
-        callback = undefined;
-      }
-      if (_.isObject(updates["$set"])) {
-        _.extend(updates["$set"], {transaction_id: self._transaction_id});
+/**
+ * Register hooks that run when actions are queued on a collection using tx.insert, tx.update or tx.remove
+ * `hooks` is of the form {insert: fn, update: fn, remove: fn} and each function gets (userId, doc, modifier)
+ * (`modifier` only for updates -- `doc` is the new document for inserts and the existing document for updates and removes)
+ * A hook can change the new document or the modifier in place, e.g. to stamp an `updatedBy` field
+ * or veto the action by returning false or calling `this.veto(reason)`, which rolls the transaction back
+ * with an "action-vetoed" error that carries the reason
+ * Hooks also run for the writes made when a transaction is undone, redone or repaired -- `this.replay` is then "undo", "redo" or "repair"
+ * Undoing an insert (or redoing a remove) is a remove and undoing a remove (or redoing an insert) is an insert
+ */
+
+Transact.prototype.before = function (collection, hooks) {
+  this._addHooks('before', collection, hooks);
+}
+
+/**
+ * Register hooks that run on the server once the actions on a collection have been done
+ * i.e. when the transaction is committed, or has been undone, redone or repaired
+ * Takes the same `hooks` as tx.before, but the functions get the document as it is after the write
+ * (or as it was, if it was removed) and can't veto anything
+ */
+
+Transact.prototype.after = function (collection, hooks) {
+  this._addHooks('after', collection, hooks);
+}
+
+/**
+ * Undo (or redo) any user's transaction -- only for admins (see `tx.isAdmin`)
+ * The transaction records who undid (or redid) it in its `undoneBy` (or `redoneBy`) field
+ * The callback gets the same arguments as for `tx.undo(txid, callback)`
+ */
+
+Transact.prototype.adminUndo = function (txid, callback) {
+  this._callAdmin("_meteorTransactionsAdminUndo", txid, callback);
+}
+
+Transact.prototype.adminRedo = function (txid, callback) {
+  this._callAdmin("_meteorTransactionsAdminRedo", txid, callback);
+}
+
+/**
+ * Check whether the user has a transaction that can be undone (or redone)
+ * Pass {scope: ...} to check the stack for that scope
+ * These are reactive on the client, where they only know about the user's recent transactions (see `tx.undoTimeLimit`)
+ */
+
+Transact.prototype.canUndo = function (options) {
+  return !!Transactions.findOne(this._stackSelector('undo', options));
+}
+
+Transact.prototype.canRedo = function (options) {
+  return !!Transactions.findOne(this._stackSelector('redo', options));
+}
+
+/**
+ * The user's undo (or redo) stack, with the transaction that would be undone (or redone) next first
+ * Each entry is of the form {_id: ..., description: ..., lastModified: <date>, undone: <date, redo stack only>, scope: ...}
+ * Reactive on the client, like `tx.canUndo()`
+ */
+
+Transact.prototype.undoStack = function (options) {
+  return Transactions.find(this._stackSelector('undo', options), {sort: {lastModified: -1}, fields: {description: 1, lastModified: 1, scope: 1}}).fetch();
+}
+
+Transact.prototype.redoStack = function (options) {
+  return Transactions.find(this._stackSelector('redo', options), {sort: {undone: -1}, fields: {description: 1, lastModified: 1, undone: 1, scope: 1}}).fetch();
+}
+
+// The selector for the user's undo or redo stack
+// On the client, this also makes sure the user's recent transactions are being published
+
+Transact.prototype._stackSelector = function (action, options) {
+  if (Meteor.isClient && !this._stackSubscription) {
+    // Subscribing inside the computation that first calls this would stop the subscription when that computation re-runs
+    this._stackSubscription = Tracker.nonreactive(function () {
+      return Meteor.subscribe('_meteorTransactionsStack');
+    });
+  }
+  var selector = _.extend({user_id: Meteor.userId()}, (action === 'undo') ? this._undoableSelector() : this._redoableSelector());
+  if (options && options.scope) {
+    selector.scope = options.scope;
+  }
+  return selector;
+}
+
+/**
+ * Undo the user's transactions, latest first, back to and including the one with _id `txid`
+ * The callback gets the same arguments as an undo with {steps: n}
+ */
+
+Transact.prototype.undoUntil = function (txid, callback) {
+  this._callSteps("_meteorTransactionsUndoSteps", {until: txid}, callback);
+}
+
+/**
+ * Redo the user's undone transactions, latest undo first, up to and including the one with _id `txid`
+ */
+
+Transact.prototype.redoUntil = function (txid, callback) {
+  this._callSteps("_meteorTransactionsRedoSteps", {until: txid}, callback);
+}
+
+/**
+ * Promise-returning versions of commit, undo and redo
+ * These resolve to an object of the form {transactionId: <transaction_id>, writes: <items>, newIds: <new _id values by collection name>}
+ * or reject with a Meteor.Error (e.g. 'permission-denied', 'transaction-cancelled', 'multiple-transactions-open', 'transaction-expired')
+ */
+
+Transact.prototype.commitAsync = function (txid) {
+  var self = this;
+  this._checkPromiseSupport('commitAsync');
+  return new Promise(function (resolve, reject) {
+    var settled = false;
+    var called = self.commit(txid, function (err, res) {
+      settled = true;
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(self._result(this.transaction_id, this.writes, _.isObject(res) ? res : {}));
+    });
+    if (!called && !settled) {
+      // commit returns without calling back if the user isn't logged in
+      reject(new Meteor.Error('not-logged-in', 'User must be logged in to commit a transaction.'));
+    }
+  });
+}
+
+Transact.prototype.undoAsync = function (txid) {
+  this._checkPromiseSupport('undoAsync');
+  return this._undoRedoAsync("_meteorTransactionsUndo", txid);
+}
+
+Transact.prototype.redoAsync = function (txid) {
+  this._checkPromiseSupport('redoAsync');
+  return this._undoRedoAsync("_meteorTransactionsRedo", txid);
+}
+
+// **********************************************************
+// INTERNAL METHODS - NOT INTENDED TO BE CALLED FROM APP CODE
+// **********************************************************
+
+Transact.prototype._doInsert = function (collection, newDoc, opt, callback) {
+  // The following is a very sketchy attempt to support collection2 options
+  // Requires aldeed:collection2 to be before babrahams:transactions in .packages
+  // which we do through a weak dependency on aldeed:collection2
+  if (this._Collection2Support(collection, opt)) {
+    // This is a brutal workaround to allow collection2 options to do their work
+    var newId = null;
+    var error = null;
+    collection.insert(newDoc, opt, function (err, newId) { 
+      if (!err) {
+        newId = newId;
+      }
+      else {
+        error = err;    
+      }
+    });
+    if (_.isFunction(callback)) { // Let the app handle the error via its own callback
+      callback(error, newId);
+    }
+    if (newId) {
+      return newId;
+    }
+    else {
+      throw new Meteor.Error('Insert failed: ' + (error && error.message || 'reason unknown.'),(error && error.reason || ''));  
+    }
+  }
+  else {
+    return collection.insert(newDoc,callback);
+  }
+}
+
+Transact.prototype._doRemove = function (collection, _id, sel, instant, opt, callback) {
+  if (!_.isFunction(callback)) {
+    callback = undefined;  
+  }
+  var self = this;
+  if ((opt && typeof opt.softDelete !== 'undefined' && opt.softDelete) || (opt && typeof opt.softDelete === 'undefined' && tx.softDelete) || (typeof opt === 'undefined' && tx.softDelete)) {
+    self._pushToRecord("remove", collection, _id, null, instant, self._permissionCheckOverridden(opt));
+    if (instant) {
+      var item = self._createItem("remove", collection, _id, null, instant, self._permissionCheckOverridden(opt));
+      self._recordTransaction(item);
+      collection.update(sel, {$set: {deleted: ServerTime.date(), transaction_id: self._transaction_id}}, callback);
+    }
+    return;
+  }
+  var fields = {hardDelete: true};
+  // Hard delete document
+  if (instant) {
+    var fullDoc = collection.findOne(sel);
+    fields.doc = fullDoc;
+    fields.doc.transaction_id = self._transaction_id;
+    fields.doc.deleted = ServerTime.date();
+    var item = self._createItem("remove", collection, _id, fields, instant, self._permissionCheckOverridden(opt));
+    self._recordTransaction(item);
+    collection.remove(sel,callback);
+  }
+  self._pushToRecord("remove", collection ,_id, fields, instant, self._permissionCheckOverridden(opt)); // null is for field data (only used for updates) and true is to mark this as an instant change
+}
+
+Transact.prototype._doUpdate = function (collection, _id, updates, updateData, inverseData, instant, opt, callback, execute) {
+  var self = this;
+  if (instant) {
+    if (execute) {
+      if (!_.isFunction(callback)) {
+        callback = undefined;
+      }
+      if (_.isObject(updates["$set"])) {
+        _.extend(updates["$set"], {transaction_id: self._transaction_id});
       }
       else {
         updates["$set"] = {transaction_id: self._transaction_id};
@@ -741,33 +1100,39 @@ Transact.prototype._doUpdate = function (collection, _id, updates, updateData, i
 // This is used only if an {instant: true} parameter is passed
 
 Transact.prototype._recordTransaction = function (item) {
+  var self = this;
+  if (Meteor.isClient) {
+    // The server records the write itself -- updates and removes are recorded before the write arrives from the client
+    // (so the server can copy a document before it's removed), but an instant insert is only recorded once it has been made
+    Meteor.call('_meteorTransactionsRecord', this._transaction_id, this._description, this._context, this._scope, _.omit(item, 'doc', 'instant', 'state'), function (err) {
+      if (err) {
+        self.log(err);
+      }
+    });
+    return;
+  }
   if (!Transactions.findOne({_id: this._transaction_id})) {
     // We need to get a real transaction in the database for recoverability purposes
     var user_id = (tx.requireUser || (_.isFunction(Meteor.userId) && Meteor.userId()))  && _.isFunction(Meteor.userId) && Meteor.userId() || null;
-    Transactions.insert({
+    Transactions.insert(_.extend({
       _id: this._transaction_id,
       user_id: user_id,
       lastModified: ServerTime.date(),
       description: this._description,
       context: this._context,
       state: "pending"
-    });
+    }, (this._scope) ? {scope: this._scope} : {}, this._lease()));
   }
-  Transactions.update({_id: this._transaction_id}, {$addToSet: {items: item}});
+  // Only the server can flag a transaction as having items that skip the permission check on undo and redo
+  Transactions.update({_id: this._transaction_id}, {$addToSet: {items: item}, $set: _.extend(this._lease(), (item.noCheck) ? {overridePermissionCheck: true} : {})});
 }
 
-// This is used to check that the document going into the transactions collection has all the necessary fields
+// Checks that the items going into the transactions collection are allowed by the permission checks
 
-Transact.prototype._validateModifier = function (modifier, txid) {
-  var fields = modifier && modifier["$addToSet"];
-  if (!fields) {
-   return null;
-  }
-  return this._checkTransactionFields([fields.items], txid);
-}
-
-Transact.prototype._checkTransactionFields = function (items, txid) {
+Transact.prototype._checkTransactionFields = function (items, txid, mode, trustNoCheck) {
   // Iterate over all the items that are going to be stored on the transaction stack and check their legitimacy
+  // `mode` is "undo" or "redo" if the items are being checked for an undo or redo
+  // The noCheck flag on items is only honoured if `trustNoCheck` is true, i.e. the server itself set it
   if (!items || !items.length) {
    return false; 
   }
@@ -776,16 +1141,16 @@ Transact.prototype._checkTransactionFields = function (items, txid) {
   _.each(items, function (value) {
     if (!fail) {
       collection = value.collection;
+      // The doc in the collection is used if there is one, so that a copy of it can't be used to get around the permission check
+      doc = self.collectionIndex[collection].findOne({_id: value._id});
       // Watch out for undo method validation of a remove, where the doc has been hard removed from the collection
-      // Allowing a doc through that was passed from the client is a potential security hole here, but without soft delete, there is no actual record of that doc
+      // The only record of that doc is the copy on the item, which the server took from the database (the client can't supply one)
       // So we check that the removed doc's transaction_id value matches the txid
-      if (value.action === 'remove' && value.doc && value.doc.transaction_id === txid) {
+      if (!doc && value.action === 'remove' && value.doc && value.doc.transaction_id === txid) {
          doc = value.doc;
-      } else if (value.action === 'insert' && value.newDoc && value.newDoc.transaction_id === txid) {
+      } else if (!doc && value.action === 'insert' && value.newDoc && value.newDoc.transaction_id === txid) {
         // Handle redo of an insert (after a previous undo)
         doc = value.newDoc;
-      } else {
-        doc = self.collectionIndex[collection].findOne({_id: value._id});
       }
       if (Meteor.isClient && !doc) {
         // Because this runs in a client simulation,
@@ -799,13 +1164,13 @@ Transact.prototype._checkTransactionFields = function (items, txid) {
         action = 'update';
         details = value.update;
         inverseDetails = value.inverse;
-        recombinedUpdateFields[details.command] = self._unpackageForUpdate(details.data);
-        recombinedInverseFields[inverseDetails.command] = self._unpackageForUpdate(inverseDetails.data);
-        if (!value.noCheck) {
+        _.extend(recombinedUpdateFields, self._modifierFromStorage(details));
+        _.extend(recombinedInverseFields, self._modifierFromStorage(inverseDetails));
+        if (!(trustNoCheck && value.noCheck)) {
           // Transactions that have been allowed using overridePermissionCheck are considered here, using the noCheck flag
           // Otherwise the user won't be able to undo them
           try {
-            fail = !(self._permissionCheck(action,self.collectionIndex[collection], doc, recombinedUpdateFields) && self._permissionCheck(action, self.collectionIndex[collection], doc, recombinedInverseFields));
+            fail = !(self._permissionCheck(action,self.collectionIndex[collection], doc, recombinedUpdateFields, mode) && self._permissionCheck(action, self.collectionIndex[collection], doc, recombinedInverseFields, mode));
           }
           catch(err) {
             fail = true;
@@ -819,9 +1184,9 @@ Transact.prototype._checkTransactionFields = function (items, txid) {
       else if (value.action === 'remove' ) {
         action = 'remove';   
       }
-      if (!value.noCheck) {
+      if (!(trustNoCheck && value.noCheck)) {
         try {
-          fail = !self._permissionCheck(action, self.collectionIndex[collection], doc, {});
+          fail = !self._permissionCheck(action, self.collectionIndex[collection], doc, {}, mode);
         }
         catch(err) {
           // If this transaction was made possible by overridePermissionCheck
@@ -834,18 +1199,179 @@ Transact.prototype._checkTransactionFields = function (items, txid) {
   return !fail;
 }
 
+// Undoes the instant actions queued from `startIndex` onwards, in reverse order
+// Returns true if any of the inverse writes failed
+
+Transact.prototype._rollbackItems = function (items, startIndex) {
+  // TODO -- this is pretty half-baked -- we should be checking that actions are actually completed before continuing -- not just watching for errors
+  // Eventually, this should be rolled into a single universal function
+  // that iterates over the items array and makes db writes
+  var self = this;
+  var error = false;
+  for (var index = items.length - 1; index >= startIndex; index--) {
+    var obj = items[index];
+    if (obj.action === "remove") {
+      if (obj.instant) {
+        try {
+          if (obj.doc) {
+            // This was removed from the collection, we need to reinsert it
+            tx.collectionIndex[obj.collection].insert(obj.doc);
+          }
+          else {
+            // This was soft deleted, we need to remove the deleted field
+            tx.collectionIndex[obj.collection].update({_id: obj._id}, {$unset: {deleted: 1, transaction_id: self._transaction_id}});
+          }
+          self.log('Rolled back remove');
+        }
+        catch (err) {
+          self.log(err);
+          error = true;
+        }
+      }
+    }
+    if (obj.action === "update") {
+      var operation = obj.instant && self._modifierFromStorage(obj.inverse); // console.log(operation);
+      if (operation) {
+        try {  
+          tx.collectionIndex[obj.collection].update({_id: obj._id},operation);
+          self.log('Rolled back update');
+        }
+        catch (err) {
+          self.log(err);
+          error = true;
+        }
+      }
+    }
+    if (obj.action === "insert") {
+      if (obj.instant) {
+        var sel = {_id: obj._id};
+        // This transaction_id check is in case the document has been subsequently edited -- in that case, we don't want it removed from the database completely
+        sel.transaction_id = self._transaction_id;
+        try {
+          tx.collectionIndex[obj.collection].remove(sel);
+          self.log('Rolled back insert');
+        }
+        catch (err) {
+          self.log(err);
+          error = true;
+        }
+      }
+    }
+    if (!error) {
+      self._changeItemState({
+        txid: self._transaction_id,
+        index: index,
+        state: "rolledBack"
+      });
+    }
+  }
+  return error;
+}
+
+// Undoes the actions queued since a savepoint and takes them off the queue, leaving the rest of the transaction open
+
+Transact.prototype._rollbackToSavepoint = function (savepoint) {
+  var rolledBackItems = this._items.slice(savepoint.index);
+  var recorded = !!_.find(this._items, function (item) { return item.instant; });
+  if (this._rollbackItems(this._items, savepoint.index)) {
+    this.log("Rollback of nested transaction failed -- you'll need to check your database manually for corrupted records.");
+    this.log(rolledBackItems);
+  }
+  this._items = this._items.slice(0, savepoint.index);
+  if (recorded) {
+    // Instant actions have been recorded in the transaction document, which needs to reflect the truncated queue
+    Transactions.update({_id: this._transaction_id}, {$set: {items: _.where(this._items, {instant: true})}});
+  }
+  // Anything that went wrong in the nested transaction has been undone along with it
+  this._rollback = savepoint.rollback;
+  this._rollbackReason = savepoint.rollbackReason;
+  this._vetoReason = savepoint.vetoReason;
+  this.log('Rolled back nested transaction "' + savepoint.description + '" (savepoint: ' + savepoint.id + ') in transaction_id: ' + this._transaction_id);
+}
+
+// The error that a commit reports when the transaction has to be rolled back
+
+Transact.prototype._rollbackError = function () {
+  var errorDescription = '';
+  switch (this._rollbackReason) {
+    case 'permission-denied' :
+      errorDescription = 'One or more permissions were denied, so transaction was rolled back.';
+      break;
+    case 'transaction-cancelled' :
+      errorDescription = 'The transaction was cancelled programatically, so it was rolled back.';
+      break;
+    case 'action-vetoed' :
+      errorDescription = this._vetoReason;
+      break;
+    default :
+      errorDescription = 'An error occurred when processing an action.';
+      break;
+  }
+  return new Meteor.Error(this._rollbackReason, errorDescription);
+}
+
+// Calls the undo or redo method and settles a promise with the result
+
+Transact.prototype._undoRedoAsync = function (methodName, txid) {
+  var self = this;
+  return new Promise(function (resolve, reject) {
+    Meteor.call(methodName, (_.isString(txid)) ? txid : null, function (err, res) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (res && res.expired) {
+        reject(new Meteor.Error('transaction-expired', 'Other edits have been made, so this action can no longer be reversed.'));
+        return;
+      }
+      var writes = (res && res.writes) || [];
+      resolve(self._result(res && res.transaction_id || null, writes, (methodName === "_meteorTransactionsRedo") ? self._newIds(writes) : {}));
+    });
+  });
+}
+
+// Meteor 1.1 runs on Node 0.10, which has no Promise, so the promise-returning methods need one to have been provided
+
+Transact.prototype._checkPromiseSupport = function (methodName) {
+  if (typeof Promise === 'undefined') {
+    throw new Meteor.Error('promise-not-supported', 'tx.' + methodName + ' needs a global Promise, which this environment doesn\'t provide.');
+  }
+}
+
+// The structured result that the promise-returning methods resolve to
+
+Transact.prototype._result = function (transactionId, writes, newIds) {
+  return {transactionId: transactionId || null, writes: writes || [], newIds: newIds || {}};
+}
+
+// Collects the _id values of inserted docs, indexed by collection name
+
+Transact.prototype._newIds = function (items) {
+  return _.reduce(items, function (memo, item) {
+    if (item.action === 'insert') {
+      if (typeof memo[item.collection] === "undefined") {
+        memo[item.collection] = [];  
+      }
+      memo[item.collection].push(item._id);
+    }
+    return memo;
+  },{});
+}
+
 // Reset everything to a clean state
 
 Transact.prototype._cleanReset = function () {
   this._transaction_id = null;
   this._autoTransaction = false;
   this._items = [];
-  this._startAttempts = 0;
-  this._granted = {};
+  this._savepoints = [];
   this._rollback = false;
   this._rollbackReason = '';
+  this._vetoReason = null;
   this._context = {};
   this._description = '';
+  this._scope = null;
+  this._coalesce = null;
   // Note: we don't reset this._lastTransactionData because we want it to be available AFTER the commit
   if (Meteor.isServer) {
     Meteor.clearTimeout(this._autoCancel);
@@ -859,39 +1385,167 @@ Transact.prototype._callback = function (a, b, err, res) {
   }  
 }
 
-// Starts a transaction automatically if one isn't started already
+// Checks whether an update is a modifier (e.g. {$set: {...}}), rather than a replacement document
 
-Transact.prototype._openAutoTransaction = function (description) {// console.log("Auto open check value for transaction_id: " + this._transaction_id + ' (Auto: ' + this._autoTransaction + ')');
-  if (!this._transaction_id) {
-    this._autoTransaction = true;
-    this._description = description;
-    this.start(description);
-    // console.log("Auto opened: " + this._transaction_id + ' (Auto: ' + this._autoTransaction + ')');
+Transact.prototype._isModifier = function (updates) {
+  return _.isObject(updates) && !_.isEmpty(updates) && _.every(_.keys(updates), function (key) { return key.charAt(0) === '$'; });
+}
+
+// Makes the document that an upsert will insert if nothing matches its selector
+// i.e. the equality matches in the selector with the modifier applied to them, as mongo does it
+
+Transact.prototype._upsertDoc = function (selector, updates) {
+  var equalityFields = {};
+  if (this._isSelector(selector)) {
+    var addEqualityFields = function (clause) {
+      _.each(clause, function (value, key) {
+        var hasOperators = _.isObject(value) && _.find(_.keys(value), function (k) { return k.charAt(0) === '$'; });
+        if (key === '$and') {
+          _.each(value, addEqualityFields);
+        }
+        else if (key.charAt(0) !== '$' && !hasOperators) {
+          equalityFields[key] = value;
+        }
+      });
+    };
+    addEqualityFields(selector);
   }
+  else {
+    equalityFields._id = (_.isObject(selector)) ? selector._id : selector;
+  }
+  // Minimongo won't $set an _id, so that goes straight onto the new document
+  var newDoc = (_.has(equalityFields, '_id')) ? {_id: equalityFields._id} : {};
+  equalityFields = _.omit(equalityFields, '_id');
+  if (!_.isEmpty(equalityFields)) {
+    LocalCollection._modify(newDoc, {$set: equalityFields});
+  }
+  LocalCollection._modify(newDoc, updates, {isInsert: true});
+  return newDoc;
 }
 
-// Commits a transaction automatically if it was started automatically
+// Checks whether the `doc` param of an update or remove is a selector, rather than an _id value or a document with an _id
 
-Transact.prototype._closeAutoTransaction = function (opt, callback, newId) {// console.log("Auto commit check value for autoTransaction: " + this._autoTransaction + ' (Auto: ' + this._autoTransaction + ')');
-  if (this._autoTransaction) {
-    this.log("Auto committed: " + this._transaction_id); // + ' (Auto: ' + this._autoTransaction + ')';
-    this.commit(opt, undefined, newId);
+Transact.prototype._isSelector = function (doc) {
+  var isId = function (val) {
+    return _.isString(val) || val instanceof Mongo.ObjectID;
   }
+  return _.isObject(doc) && !isId(doc) && !isId(doc._id);
 }
 
-// Cancels and commits a transaction automatically if it exceeds the idleTimeout threshold with no new actions
+// Expands a selector into the documents it matches and queues `action` for each of them, in a single transaction
+// Removes, and updates with {multi: true}, act on all matching documents -- other updates only act on the first
 
-Transact.prototype._resetAutoCancel = function () {
-  if (Meteor.isServer) {
-    var self = this;
+Transact.prototype._actOnSelector = function (action, collection, selector, opt, callback, act) {
+  var optIsHash = _.isObject(opt) && !_.isFunction(opt);
+  var multi = action === 'remove' || (optIsHash && opt.multi);
+  if (action === 'remove' && Meteor.isServer) {
+    selector = _.extend({}, selector, {deleted: {$exists: false}});
+  }
+  var docs = (multi) ? collection.find(selector).fetch() : _.compact([collection.findOne(selector)]);
+  if (!docs.length) {
+    // Nothing to do, so don't start a transaction that would have nothing in it
+    this.log("No documents matching selector in " + collection._name + " to " + action);
+    if (_.isFunction(callback)) {
+      callback(null, 0);
+    }
+    return !this._rollback;
+  }
+  this._openAutoTransaction(action + ' ' + collection._name);
+  // Don't let the individual actions commit an auto started transaction -- that's done once they're all queued
+  var autoTransaction = this._autoTransaction;
+  this._autoTransaction = false;
+  var itemOpt = (optIsHash) ? _.omit(opt, 'multi', 'callback') : undefined;
+  _.each(docs, function (doc) {
+    act(doc, itemOpt);
+  });
+  this._autoTransaction = autoTransaction;
+  var success = !this._rollback;
+  this.log("Queued " + action + " of " + docs.length + " document" + ((docs.length === 1) ? "" : "s") + " matching selector in " + collection._name);
+  if (optIsHash && opt.instant && _.isFunction(callback)) {
+    callback((success) ? null : new Meteor.Error(action + '-error', 'Unable to ' + action + ' all documents matching selector.'), (success) ? docs.length : 0);
+  }
+  this._closeAutoTransaction(opt, callback);
+  return success;
+}
+
+// Starts a transaction automatically if one isn't started already
+
+Transact.prototype._openAutoTransaction = function (description) {// console.log("Auto open check value for transaction_id: " + this._transaction_id + ' (Auto: ' + this._autoTransaction + ')');
+  if (!this._transaction_id) {
+    this._autoTransaction = true;
+    this._description = description;
+    this.start(description);
+    // console.log("Auto opened: " + this._transaction_id + ' (Auto: ' + this._autoTransaction + ')');
+  }
+}
+
+// Commits a transaction automatically if it was started automatically
+
+Transact.prototype._closeAutoTransaction = function (opt, callback, newId) {// console.log("Auto commit check value for autoTransaction: " + this._autoTransaction + ' (Auto: ' + this._autoTransaction + ')');
+  if (this._autoTransaction) {
+    this.log("Auto committed: " + this._transaction_id); // + ' (Auto: ' + this._autoTransaction + ')';
+    this.commit(opt, undefined, newId);
+  }
+}
+
+// Cancels and commits a transaction automatically if it exceeds the idleTimeout threshold with no new actions
+
+Transact.prototype._resetAutoCancel = function () {
+  if (Meteor.isServer) {
+    var self = this;
+    var state = this._getState();
     Meteor.clearTimeout(this._autoCancel);
     this._autoCancel = Meteor.setTimeout(function () {
-      self.log('Transaction (' + self._transaction_id + ') was cancelled after being inactive for ' + (self.idleTimeout / 1000) + ' seconds.');
-      self.rollback();
+      // This runs in a new fiber, so we need to roll back the transaction that belongs to the fiber that set the timeout
+      boundState.withValue(state, function () {
+        self.log('Transaction (' + self._transaction_id + ') was cancelled after being inactive for ' + (self.idleTimeout / 1000) + ' seconds.');
+        // Roll back the whole transaction, not just the innermost nested transaction
+        self._savepoints = [];
+        self.rollback();
+      });
     },this.idleTimeout);
   }
 }
 
+// Returns the state object for the transaction belonging to the current method invocation or fiber (server) or the app (client)
+
+Transact.prototype._getState = function () {
+  if (Meteor.isServer && Fiber.current) {
+    var state = boundState.get();
+    if (state) {
+      return state;
+    }
+    // A method invocation keeps its state on the invocation, which is carried into any fiber that continues its work
+    // and is never handed on to the next task a pooled fiber runs (Meteor.setTimeout and Meteor.defer callbacks run outside the invocation)
+    var holder = DDP._CurrentInvocation.get() || Fiber.current;
+    if (!holder._meteorTransactionsState) {
+      holder._meteorTransactionsState = this._newState();
+    }
+    return holder._meteorTransactionsState;
+  }
+  return this._defaultState;
+}
+
+// Creates a state object for a transaction that hasn't been started yet
+
+Transact.prototype._newState = function () {
+  return {
+    _transaction_id: null,
+    _autoTransaction: false,
+    _items: [],
+    _savepoints: [],
+    _rollback: false,
+    _rollbackReason: '',
+    _vetoReason: null,
+    _autoCancel: null,
+    _lastTransactionData: null,
+    _context: {},
+    _description: '',
+    _scope: null,
+    _coalesce: null
+  };
+}
+
 // Pushes the record of a single action to the "items" sub document that is going to be recorded in the transactions collection along with data about this transaction
 
 Transact.prototype._pushToRecord = function (type, collection, _id, fieldData, instant, permissionCheckOverridden) {
@@ -917,131 +1571,904 @@ Transact.prototype._createItem = function (type, collection, _id, fieldData, ins
   return item;
 }
 
-// Checks whether the permission check should be waived
+// The Match pattern for a single item of a transaction
+// Items from the client can't skip the permission check, so they can't carry the noCheck flag
+// and they can't carry copies of removed documents or say that writes they didn't make instantly are done
+
+Transact.prototype._itemPattern = function (item, fromClient) {
+  var self = this;
+  var operation = {command: String, data: [{key: String, value: Match.Any}]};
+  var pattern = {
+    collection: Match.Where(function (name) {
+      check(name, String);
+      return _.has(self.collectionIndex, name);
+    }),
+    _id: Match.OneOf(String, Mongo.ObjectID),
+    action: Match.OneOf('insert', 'update', 'remove'),
+    state: (fromClient && !(item && item.instant)) ? 'pending' : Match.OneOf('pending', 'done'),
+    instant: Match.Optional(Boolean)
+  };
+  if (!fromClient) {
+    pattern.noCheck = Match.Optional(Boolean);
+  }
+  switch (item && item.action) {
+    case 'insert' :
+      pattern.newDoc = Object;
+      break;
+    case 'update' :
+      // Inverses (and coalesced updates) can be compound operations
+      pattern.update = Match.OneOf(operation, [operation]);
+      pattern.inverse = Match.OneOf(operation, [operation]);
+      break;
+    case 'remove' :
+      pattern.hardDelete = Match.Optional(Boolean);
+      if (!fromClient) {
+        pattern.doc = Match.Optional(Match.OneOf(Object, null));
+      }
+      break;
+  }
+  return pattern;
+}
+
+// Checks every item of a transaction against the pattern for its action -- throws a Match.Error if one doesn't match
+
+Transact.prototype._checkItems = function (items, fromClient) {
+  var self = this;
+  check(items, [Object]);
+  if (fromClient && _.some(items, function (item) { return _.has(item, 'noCheck'); })) {
+    throw new Meteor.Error('permission-denied', 'overridePermissionCheck can only be used on the server.');
+  }
+  _.each(items, function (item) {
+    check(item, self._itemPattern(item, fromClient));
+  });
+}
+
+// Checks the items of a transaction committed from the client against what the server has recorded
+// The client can only commit its own pending transaction, and can only say that a write was done instantly if the write was recorded when it was made
+// The server's record of an instant write (including its copy of a removed document) replaces the client's description of it
+
+Transact.prototype._checkClientItems = function (items, existingTransaction) {
+  if (existingTransaction && (existingTransaction.user_id !== Meteor.userId() || existingTransaction.state !== 'pending')) {
+    throw new Meteor.Error('permission-denied', 'Only your own pending transactions can be committed.');
+  }
+  var recordedItems = (existingTransaction && existingTransaction.items) || [];
+  _.each(items, function (item, index) {
+    if (!item.instant) {
+      return;
+    }
+    var recordedItem = _.find(recordedItems, function (recorded) {
+      return recorded.collection === item.collection && recorded.action === item.action && EJSON.equals(recorded._id, item._id);
+    });
+    if (!recordedItem) {
+      throw new Meteor.Error('permission-denied', 'The instant ' + item.action + ' of ' + item._id + ' in ' + item.collection + ' was never recorded.');
+    }
+    // Each recorded write can only stand for one of the items committed
+    recordedItems = _.without(recordedItems, recordedItem);
+    items[index] = recordedItem;
+  });
+}
+
+// Checks whether the permission check should be waived
+
+Transact.prototype._permissionCheckOverridden = function (opt) {
+  return typeof opt !== 'undefined' && opt.overridePermissionCheck;
+}
+
+// Uses a user-defined permission check as to whether this action is allowed or not
+// `mode` is "undo" or "redo" when the action is being checked for an undo or redo, so that the rule for that is used if there is one
+
+Transact.prototype._permissionCheck = function (action, collection, doc, updates, mode) { // insert and remove send null for "updates" param, but this is where all the details of any update are found
+  if (!this.checkPermission(action, collection, doc, updates)) {
+    return false;
+  }
+  var rules = this._permissionRules[collection._name] || {};
+  var rule = (mode && rules[mode]) || rules[action];
+  if (!rule) {
+    return !this.denyByDefault;
+  }
+  return !!rule.call(this, Meteor.userId(), doc, updates, action);
+}
+
+// Builds the context object
+
+Transact.prototype._setContext = function (context) {
+  _.extend(this._context, context);  
+}
+
+// This turns the data that has been stored in an array of key-value pairs into an object that mongo can use in an update
+
+Transact.prototype._unpackageForUpdate = function (data) {;
+  var objForUpdate = {};
+  _.each(data, function (val) {
+    var unpackagedValue;
+    if (val.value && val.value.json) {
+      // EJSON.parse reads plain JSON too, so records stored by earlier versions of this package still unpackage correctly
+      unpackagedValue = EJSON.parse(val.value.json);
+    } else {
+      unpackagedValue = val.value;
+    }
+    objForUpdate[val.key] = unpackagedValue;
+  });
+  return objForUpdate;
+}
+
+// This turns the data that is given as a mongo update into an array of key-value pairs that can be stored
+// Objects and arrays are stored as EJSON strings, as they can contain keys that mongo won't store (e.g. the `$each` of a `$push` or the `$type` of a `$currentDate`)
+// EJSON (rather than JSON) means dates, ObjectIDs and binary data come back as the same types on undo/redo
+// For values without any of those types, the stored string is exactly what JSON.stringify would give
+// Everything else (including null, and the new field names of a `$rename`) is stored as is
+  
+Transact.prototype._packageForStorage = function (update) {
+  if (_.isArray(update)) {
+    // A compound operation
+    return _.map(update, this._packageForStorage, this);
+  }
+  var arrForStorage = [];
+  _.each(update.data, function (value, key) {
+    var packagedValue;
+    if (_.isObject(value) || _.isArray(value)) {
+      packagedValue = {json: EJSON.stringify(value)};
+    } else {
+      packagedValue = value;
+    }
+    arrForStorage.push({key: key, value: packagedValue});
+  });
+  return {command: update.command, data: arrForStorage};
+  
+}
+
+// Turns a stored operation (or an array of them, for a compound inverse) back into a mongo modifier
+// Returns null if there's nothing to do
+
+Transact.prototype._modifierFromStorage = function (operations) {
+  var self = this, modifier = {};
+  _.each((_.isArray(operations)) ? operations : [operations], function (operation) {
+    if (operation && operation.command && operation.data) {
+      modifier[operation.command] = _.extend(modifier[operation.command] || {}, self._unpackageForUpdate(operation.data));
+    }
+  });
+  return (_.isEmpty(modifier)) ? null : modifier;
+}
+
+// Given a dot delimited string as a key, and an object, find the value
+
+Transact.prototype._drillDown = function (obj, key) {
+  return Meteor._get.apply(null, [obj].concat(key.split('.')));
+  // Previous implementation, which worked fine but was more LOC than necessary
+  /*var pieces = key.split('.');
+  if (pieces.length > 1) {
+    var newObj = obj ? obj[pieces[0]] : {};
+    pieces.shift();
+    return this._drillDown(newObj,pieces.join('.'));
+  }
+  else {
+    if (obj) {
+      return obj[key];
+    }
+    else {
+      return; // undefined    
+    }    
+  }*/
+}
+
+// Default inverse operation that uses $set to restore original state of updated fields
+
+Transact.prototype._inverseUsingSet = function (collection, existingDoc, updateMap, opt) {
+  var self = this, formerValues = {};
+  _.each(_.keys(updateMap), function (keyName) {
+    var formerVal = self._drillDown(existingDoc, keyName);
+    if (typeof formerVal === 'undefined') {
+      // If the field's parent didn't exist either, the update will create it, so that's what needs to be unset
+      keyName = self._missingAncestor(existingDoc, keyName);
+    }
+    formerValues[keyName] = formerVal;
+  });
+  return this._inverseFromFormerValues(formerValues);
+};
+
+// Given a dot delimited key for a field that isn't in the object, find the shortest path that isn't in the object
+
+Transact.prototype._missingAncestor = function (obj, key) {
+  var pieces = key.split('.');
+  for (var i = 1; i < pieces.length; i++) {
+    var path = pieces.slice(0, i).join('.');
+    if (typeof this._drillDown(obj, path) === 'undefined') {
+      return path;
+    }
+  }
+  return key;
+};
+
+// Given the values that fields held before an update (undefined if a field wasn't set), make the inverse operation that restores them
+// If some fields need to be restored and others unset, this is a compound inverse -- an array of a $set and an $unset operation
+
+Transact.prototype._inverseFromFormerValues = function (formerValues) {
+  var setData = {}, unsetData = {};
+  _.each(formerValues, function (formerVal, keyName) {
+    if (typeof formerVal !== 'undefined') {
+      // Restore former value
+      setData[keyName] = formerVal;
+    }
+    else {
+      // Field was already unset, so just $unset it again
+      unsetData[keyName] = '';
+    }
+  });
+  if (_.isEmpty(unsetData)) {
+    return {command: '$set', data: setData};
+  }
+  if (_.isEmpty(setData)) {
+    return {command: '$unset', data: unsetData};
+  }
+  return [{command: '$set', data: setData}, {command: '$unset', data: unsetData}];
+};
+
+// The dot delimited paths of the fields touched by a (packaged) update
+
+Transact.prototype._touchedPaths = function (update) {
+  var paths = _.pluck(update && update.data, 'key');
+  if (update && update.command === '$rename') {
+    // The values of a $rename are the new names of the fields
+    paths = paths.concat(_.pluck(update.data, 'value'));
+  }
+  return paths;
+};
+
+// All the field paths that an update item touches, through either its update or its inverse
+
+Transact.prototype._itemPaths = function (item) {
+  var self = this;
+  var operations = [].concat(item.update || [], item.inverse || []);
+  return _.uniq(_.flatten(_.map(operations, function (operation) {
+    return self._touchedPaths(operation);
+  })));
+}
+
+// Checks whether two sets of field paths overlap
+// A path overlaps another if they are the same, or if one is a parent of the other (e.g. "a" and "a.b")
+
+Transact.prototype._pathsConflict = function (paths, otherPaths) {
+  return _.some(paths, function (path) {
+    return _.some(otherPaths, function (otherPath) {
+      return path === otherPath || path.indexOf(otherPath + '.') === 0 || otherPath.indexOf(path + '.') === 0;
+    });
+  });
+}
+
+// Checks whether any transaction done after `transaction` has touched the field paths that `item` (an update) touched
+// A later insert or remove of the same document conflicts with any update
+
+Transact.prototype._laterTransactionConflicts = function (transaction, item) {
+  var self = this;
+  var paths = this._itemPaths(item);
+  var laterTransactions = Transactions.find({
+    _id: {$ne: transaction._id},
+    state: "done",
+    $or: [{undone: null}, {undone: {$exists: false}}],
+    // $gte rather than $gt, as transactions committed in the same millisecond can't be told apart -- it's safer to assume a conflict
+    lastModified: {$gte: transaction.lastModified},
+    items: {$elemMatch: {collection: item.collection, _id: item._id}}
+  }).fetch();
+  return _.some(laterTransactions, function (laterTransaction) {
+    return _.some(laterTransaction.items, function (laterItem) {
+      if (laterItem.collection !== item.collection || !EJSON.equals(laterItem._id, item._id)) {
+        return false;
+      }
+      return laterItem.action !== 'update' || self._pathsConflict(paths, self._itemPaths(laterItem));
+    });
+  });
+}
+
+Transact.prototype._Collection2Support = function (collection, opt) {
+  // The following is a very sketchy attempt to support collection2 options
+  // Requires aldeed:collection2 to be before babrahams:transactions in .packages
+  // which we do through a weak dependency on aldeed:collection2
+  return _.isFunction(collection.simpleSchema)
+    && collection.simpleSchema() !== null
+    && _.find([
+      "validationContext",
+      "validate",
+      "filter",
+      "autoConvert",
+      "removeEmptyStrings",
+      "getAutoValues",
+      "replace",
+      "upsert",
+      "extendAutoValueContext",
+      "trimStrings",
+      "extendedCustomContext",
+      "transform"
+    ],
+    function (c2option) {
+      return typeof opt[c2option] !== "undefined";
+    }
+  );
+}
+
+Transact.prototype._changeItemState = function (data) {
+  
+  // Need to make a write to the transaction record, marking this action as `done`
+  // This also renews the lease on the transaction
+  var m = {};
+  m["items." + data.index + ".state"] = data.state;
+  Transactions.update({_id: data.txid}, {$set: _.extend(m, this._lease())});
+  
+}
+
+// The fields that give this server a lease on a transaction document
+// Leases are only held by servers -- a client's writes to the transactions collection are never protected from repair
+
+Transact.prototype._lease = function () {
+  if (!Meteor.isServer) {
+    return {};
+  }
+  return {owner: this._instanceId, leaseExpires: new Date(ServerTime.date().getTime() + this.leaseDuration)};
+}
+
+// The selector for transactions that no server currently holds a lease on
+
+Transact.prototype._leaseExpiredSelector = function () {
+  return {$or: [{leaseExpires: {$exists: false}}, {leaseExpires: {$lt: ServerTime.date()}}]};
+}
+
+// Throws if the user isn't allowed to undo or redo this transaction (see `tx.canActOnTransaction`)
+// This is only enforced on the server, as the check may need data that the client doesn't have
+
+Transact.prototype._checkCanActOnTransaction = function (transaction, action) {
+  if (Meteor.isServer && transaction && !this.canActOnTransaction(Meteor.userId(), transaction, action)) {
+    throw new Meteor.Error('permission-denied', 'You are not allowed to ' + action + ' this transaction.');
+  }
+}
+
+// Throws if the user isn't an admin (see `tx.isAdmin`)
+
+Transact.prototype._checkAdmin = function () {
+  if (Meteor.isServer && !this.isAdmin(Meteor.userId())) {
+    throw new Meteor.Error('permission-denied', 'Only admins can undo or redo other users\' transactions.');
+  }
+}
+
+// Records who undid or redid a transaction, as an admin may have done it on another user's behalf
+
+Transact.prototype._performedBy = function (field) {
+  var performedBy = {}, userId = Meteor.userId();
+  if (userId) {
+    performedBy[field] = userId;
+  }
+  return performedBy;
+}
+
+// The transactions that can be undone, and those that can be redone
+
+Transact.prototype._undoableSelector = function () {
+  return {$or: [{undone: null}, {undone: {$exists: false}}], expired: {$exists: false}, state: "done"};
+}
+
+Transact.prototype._redoableSelector = function () {
+  return {undone: {$exists: true, $ne: null}, expired: {$exists: false}, state: "undone"};
+}
+
+// Undoes a single transaction (the document from the transactions collection)
+// Returns {transaction_id: ..., expired: ..., writes: ...}, where `expired` is true if the undo failed
+
+Transact.prototype._undoTransaction = function (lastTransaction) {
+  var expired = false;
+  var queuedItems = [];
+  if (lastTransaction && typeof lastTransaction.items !== 'undefined') {
+    // Check that user still has permission to edit all these items
+    // Undo in reverse order
+    // e.g. Need to undo removes first, so that docs are available for undo updates if docs were updated before removal
+    if (tx._checkTransactionFields(lastTransaction.items, lastTransaction._id, 'undo', !!lastTransaction.overridePermissionCheck)) {
+      _.each(lastTransaction.items.reverse(), function (obj, index) {
+        var itemIndex = (lastTransaction.items.length - 1) - index; // Because array has been reversed for undo
+        if (obj.action === 'remove') {
+          if (!expired) {
+            if (obj.doc) {
+              // This doc is here because the original was removed
+              // First check for duplicates -- if there is one, the transaction has expired
+              if (tx.collectionIndex[obj.collection].find(obj.doc._id).count()) {
+                expired = true;  
+              }
+              else {
+                queuedItems.push({index: itemIndex, item: obj, doc: obj.doc, write: function (){
+                  tx.collectionIndex[obj.collection].insert(obj.doc);
+                }});
+              }
+            }
+            else {
+              // This was removed with softDelete
+              queuedItems.push({index: itemIndex, item: obj, write: function (){
+                tx.collectionIndex[obj.collection].update({_id: obj._id}, {$unset: {deleted: 1, transaction_id: lastTransaction._id}});
+              }});
+            }
+          }
+        }
+        if (obj.action === 'update') {
+          if (!expired && tx._laterTransactionConflicts(lastTransaction, obj)) {
+            // Someone has since changed a field that this update changed, so undoing it would overwrite their work
+            expired = true;
+          }
+          if (!expired) {
+            var operation = tx._modifierFromStorage(obj.inverse); // console.log('inverse operation:'+JSON.stringify(operation));
+            if (operation) {
+              queuedItems.push({index: itemIndex, item: obj, modifier: operation, write: function (){
+                tx.collectionIndex[obj.collection].update({_id: obj._id}, operation);
+                /* console.log("operation called:"+JSON.stringify(operation)); */
+              }});
+            }
+          }
+        }
+        if (obj.action === 'insert') {
+          if (!expired) {
+            var sel = {_id: obj._id};
+            // This transaction check is in case the document has been subsequently edited -- in that case, we don't want it removed from the database completely
+            // Instead, we remove this transaction from the visible list by setting expired to true
+            sel.transaction_id = lastTransaction._id;
+            queuedItems.push({index: itemIndex, item: obj, write: function () { tx.collectionIndex[obj.collection].remove(sel); }});
+            if (tx.collectionIndex[obj.collection].findOne({_id: obj._id, $and: [{transaction_id: {$exists: true}}, {transaction_id: {$ne: lastTransaction._id}}]})) {
+              // Transaction has expired
+              expired = true; // This is to tell the client that the transaction has expired and the undo was not executed
+            }
+          }
+        }
+      });
+      if (!expired) {
+        // Before hooks get a chance to change or veto the writes before any of them are made
+        var vetoReason = tx._vetoReplay(queuedItems, lastTransaction._id, 'backward', 'undo');
+        if (vetoReason !== null) {
+          throw new Meteor.Error('action-vetoed', vetoReason);
+        }
+        // Mark the transaction as being undone, so that if the server goes down part way through
+        // the repair script on startup can find it and finish (or reverse) the undo
+        Transactions.update({_id: lastTransaction._id}, {$set: _.extend({state: 'undoing'}, tx._lease())});
+        // Process queue
+        _.each(queuedItems,function (queuedItem) {
+          var fail = false;
+          try {
+            queuedItem.write();
+          }
+          catch (err) {
+            fail = true;    
+          }
+          if (!fail) {
+            tx._changeItemState({
+              txid: lastTransaction._id,
+              index: queuedItem.index,
+              state: 'undone'
+            });
+          }
+        });
+      // After an undo, we need to update transaction document
+        Transactions.update({_id: lastTransaction._id}, {$set: _.extend({undone: ServerTime.date(), state: 'undone'}, tx._performedBy('undoneBy')), $unset: {owner: 1, leaseExpires: 1}});
+        tx._runAfterHooks(lastTransaction._id, _.pluck(queuedItems, 'item'), 'backward', 'undo');
+        tx._fireEvent('undo', Transactions.findOne({_id: lastTransaction._id}), {success: true});
+      }
+    }
+    else {
+      // Non-empty transaction, but user has lost the permission to edit at least one of the items encompassed by the transaction
+      expired = true; 
+    }
+    if (expired) {
+      // Flag this as expired in the db to keep it out of the user's undo/redo stack
+      Transactions.update({_id: lastTransaction._id}, {$set: {expired: true}});  
+      tx._fireEvent('expire', Transactions.findOne({_id: lastTransaction._id}), {action: 'undo'});
+    }
+  }
+  else if (lastTransaction && Meteor.isServer) {
+    // Auto clean - this transaction is empty
+    // Not in a client simulation, where the published transaction documents don't have their items
+    Transactions.remove({_id: lastTransaction._id});
+  }
+  // If `expired` is true, the undo failed
+  return {transaction_id: lastTransaction && lastTransaction._id || null, expired: expired, writes: !expired && lastTransaction && (Transactions.findOne({_id: lastTransaction._id}) || {}).items || []};
+}
+
+// Redoes a single transaction that was undone
+// Returns {transaction_id: ..., expired: ..., writes: ...}, where `expired` is true if the redo failed
+
+Transact.prototype._redoTransaction = function (lastUndo) {
+  var expired = false;
+  var queuedItems = [];
+  if (lastUndo && typeof lastUndo.items !== 'undefined') {
+    // Check that user still has permission to edit all these items
+    if (tx._checkTransactionFields(lastUndo.items, lastUndo._id, 'redo', !!lastUndo.overridePermissionCheck)) {
+      _.each(lastUndo.items, function (obj, index) {
+        if (obj.action === "remove") {
+          if (obj.doc) {
+            // This document was removed using a hard delete the first time
+            // We'll hard delete again, making no attempt to save any modifications that have happened to the document in the interim
+            queuedItems.push({index: index, item: obj, write: function () {tx.collectionIndex[obj.collection].remove({_id: obj._id})}});
+          }
+          else {
+            queuedItems.push({index: index, item: obj, write: function () {tx.collectionIndex[obj.collection].update({_id: obj._id}, {$set: {deleted: ServerTime.date(), transaction_id: lastUndo._id}})}});
+          }
+        }
+        if (obj.action === "update") {
+          var operation = tx._modifierFromStorage(obj.update);// console.log(operation);
+          if (operation) {
+            queuedItems.push({index: index, item: obj, modifier: operation, write: function () { tx.collectionIndex[obj.collection].update({_id: obj._id}, operation); }});
+          }
+        }
+        if (obj.action === "insert") {
+          if (!expired) {
+            if (!tx.collectionIndex[obj.collection].find({_id: obj._id}).count()) {
+              var newDoc = _.extend(obj.newDoc, {transaction_id: lastUndo._id,_id: obj._id});
+              queuedItems.push({index: index, item: obj, doc: newDoc, write: function () { tx.collectionIndex[obj.collection].insert(newDoc) }});
+            }
+            else {
+              // This is an edited doc that was not removed on last undo
+              // Transaction has expired
+              expired = true; // This is to tell the client that the transaction has expired and the reodo was not executed
+            }
+          }
+        }
+        if (!expired) {
+            
+        }
+      });
+      if (!expired) {
+        var vetoReason = tx._vetoReplay(queuedItems, lastUndo._id, 'forward', 'redo');
+        if (vetoReason !== null) {
+          throw new Meteor.Error('action-vetoed', vetoReason);
+        }
+        // Mark the transaction as being redone, for the same reason as 'undoing' above
+        Transactions.update({_id: lastUndo._id}, {$set: _.extend({state: 'redoing'}, tx._lease())});
+        // Process queue
+        _.each(queuedItems, function (queuedItem) {
+          var fail = false;
+          try {
+            queuedItem.write();
+          }
+          catch (err) {
+            fail = true;    
+          }
+          if (!fail) {
+            tx._changeItemState({
+              txid: lastUndo._id,
+              index: queuedItem.index,
+              state: 'done'
+            });
+          }
+        });
+        // After a redo, we need to update the transaction document
+        Transactions.update({_id: lastUndo._id}, {$unset: {undone: 1, owner: 1, leaseExpires: 1}, $set: _.extend({state: 'done'}, tx._performedBy('redoneBy'))}); // ,$set:{timestamp:ServerTime.date()} -- LEADS TO UNEXPECTED RESULTS
+        tx._runAfterHooks(lastUndo._id, _.pluck(queuedItems, 'item'), 'forward', 'redo');
+        tx._fireEvent('redo', Transactions.findOne({_id: lastUndo._id}), {success: true});
+      }
+    }
+    else {
+      // User no longer has permission to edit one of the items in this transaction
+      expired = true;  
+    }
+    if (expired) {
+      // Flag this transaction as expired to keep it out of the user's undo-redo stack
+      Transactions.update({_id: lastUndo._id}, {$set: {expired: true}});  
+      tx._fireEvent('expire', Transactions.findOne({_id: lastUndo._id}), {action: 'redo'});
+    }
+  }
+  // If `expired` is true, the redo failed
+  return {transaction_id: lastUndo && lastUndo._id || null, expired: expired, writes: !expired && lastUndo && (Transactions.findOne({_id: lastUndo._id}) || {}).items || []};
+}
+
+// Expires the user's undone transactions with the given scope, so they can't be redone
+// (a null scope matches transactions started without a scope)
+
+Transact.prototype._clearRedoStack = function (scope) {
+  Transactions.update(_.extend({user_id: Meteor.userId(), scope: scope || null}, this._redoableSelector()), {$set: {expired: true}}, {multi: true});
+}
+
+// Merges a just-committed transaction into the user's previous transaction
+// if that was the user's last transaction, is still on the undo stack, was started with the same coalesceKey and scope
+// and was committed (or last merged into) within `window` milliseconds
+// Returns the _id of the transaction that the committed transaction ended up in
+
+Transact.prototype._coalesceTransaction = function (transaction, window) {
+  var self = this;
+  var previous = Transactions.findOne({user_id: transaction.user_id, _id: {$ne: transaction._id}, state: {$in: ['done', 'undone']}}, {sort: {lastModified: -1}});
+  if (!previous
+      || previous.state !== 'done' || previous.undone || previous.expired
+      || previous.coalesceKey !== transaction.coalesceKey
+      || (previous.scope || null) !== (transaction.scope || null)
+      || transaction.lastModified.getTime() - previous.lastModified.getTime() > window) {
+    return transaction._id;
+  }
+  var items = EJSON.clone(previous.items || []);
+  _.each(transaction.items, function (item) {
+    // Stored copies of documents need to point at the merged transaction too, or redo and undo checks will fail
+    _.each(['newDoc', 'doc'], function (field) {
+      if (item[field] && item[field].transaction_id === transaction._id) {
+        item[field].transaction_id = previous._id;
+      }
+    });
+    // Only the last item on the same document can be merged with, so that writes stay in order
+    var target = _.find(items.slice().reverse(), function (earlierItem) {
+      return earlierItem.collection === item.collection && EJSON.equals(earlierItem._id, item._id);
+    });
+    if (target && self._canMergeItems(target, item)) {
+      // The update is the latest value of each path and the inverse is the earliest
+      var updateValues = _.extend(self._valuesFromStorage(target.update), self._valuesFromStorage(item.update));
+      var inverseValues = _.extend(self._valuesFromStorage(item.inverse), self._valuesFromStorage(target.inverse));
+      target.update = self._packageForStorage(self._inverseFromFormerValues(updateValues));
+      target.inverse = self._packageForStorage(self._inverseFromFormerValues(inverseValues));
+    }
+    else {
+      items.push(item);
+    }
+    // The document now belongs to the merged transaction
+    self.collectionIndex[item.collection].update({_id: item._id, transaction_id: transaction._id}, {$set: {transaction_id: previous._id}});
+  });
+  Transactions.update({_id: previous._id}, {$set: _.extend({items: items, lastModified: transaction.lastModified}, (transaction.overridePermissionCheck) ? {overridePermissionCheck: true} : {})});
+  Transactions.remove({_id: transaction._id});
+  this.log('Coalesced transaction ' + transaction._id + ' into ' + previous._id);
+  return previous._id;
+}
+
+// Two update items can be merged path by path if they only $set and $unset fields,
+// and none of the paths of one is the parent of a path of the other
+
+Transact.prototype._canMergeItems = function (item, laterItem) {
+  var self = this;
+  var mergeable = function (item) {
+    return item.action === 'update' && _.every([].concat(item.update || [], item.inverse || []), function (operation) {
+      return _.contains(['$set', '$unset'], operation.command);
+    });
+  };
+  if (!mergeable(item) || !mergeable(laterItem)) {
+    return false;
+  }
+  var paths = this._itemPaths(item), laterPaths = this._itemPaths(laterItem);
+  return !_.some(paths, function (path) {
+    return _.some(laterPaths, function (laterPath) {
+      return path !== laterPath && self._pathsConflict([path], [laterPath]);
+    });
+  });
+}
+
+// The values that a stored $set / $unset operation (or compound operation) gives each path -- undefined for an $unset
+
+Transact.prototype._valuesFromStorage = function (operations) {
+  var modifier = this._modifierFromStorage(operations) || {}, values = {};
+  _.each(modifier.$unset, function (value, path) {
+    values[path] = undefined;
+  });
+  return _.extend(values, modifier.$set);
+}
+
+// Undoes or redoes several of the user's transactions, one at a time, in strict order (latest first)
+// `options.steps` is the number of transactions and `options.until` is the _id of the last transaction to undo or redo
+// `options.scope` limits the stack to transactions started with that scope
+// Stops at the first transaction that has expired, without trying the ones after it
+// Returns {transaction_ids: <_ids of the transactions undone or redone>, expired: <_id of the expired transaction, or null>, notAttempted: <_ids>, writes: <items>}
+
+Transact.prototype._undoRedoSteps = function (action, options) {
+  var self = this;
+  var undo = (action === 'undo');
+  var selector = _.extend({user_id: Meteor.userId()}, (undo) ? this._undoableSelector() : this._redoableSelector());
+  if (options.scope) {
+    selector.scope = options.scope;
+  }
+  var stack = Transactions.find(selector, {sort: (undo) ? {lastModified: -1} : {undone: -1}}).fetch();
+  var steps = (options.until) ? stack.length : Math.min(stack.length, options.steps || 1);
+  if (options.until) {
+    var untilSteps = _.indexOf(_.pluck(stack, '_id'), options.until) + 1;
+    if (!untilSteps) {
+      throw new Meteor.Error('transaction-not-found', 'Transaction ' + options.until + ' is not in the ' + action + ' stack');
+    }
+    steps = Math.min(untilSteps, options.steps || untilSteps);
+  }
+  // Every step has to be allowed (see `tx.canActOnTransaction`) before any of them is taken
+  _.each(stack.slice(0, steps), function (transaction) {
+    self._checkCanActOnTransaction(transaction, action);
+  });
+  var report = {transaction_ids: [], expired: null, notAttempted: [], writes: []};
+  _.each(stack.slice(0, steps), function (transaction) {
+    if (report.expired) {
+      report.notAttempted.push(transaction._id);
+      return;
+    }
+    var res = (undo) ? self._undoTransaction(transaction) : self._redoTransaction(transaction);
+    if (res.expired) {
+      report.expired = transaction._id;
+      return;
+    }
+    report.transaction_ids.push(transaction._id);
+    report.writes = report.writes.concat(res.writes);
+  });
+  return report;
+}
+
+// Calls the handlers registered for an event
+// Only on the server -- method simulations on the client don't fire events
+// A handler that throws is logged, but doesn't affect the transaction or the other handlers
+
+Transact.prototype._fireEvent = function (event, transaction, outcome) {
+  var self = this;
+  if (!Meteor.isServer || !transaction) {
+    return;
+  }
+  _.each(this._eventHandlers[event], function (fn) {
+    try {
+      fn.call(self, transaction, outcome);
+    }
+    catch (err) {
+      self.log('Error in "' + event + '" event handler:', err);
+    }
+  });
+}
+
+// Adds hooks registered with tx.before or tx.after
+
+Transact.prototype._addHooks = function (when, collection, hooks) {
+  var self = this;
+  var name = (_.isString(collection)) ? collection : collection._name;
+  _.each(hooks, function (fn, action) {
+    if (!_.contains(['insert', 'update', 'remove'], action)) {
+      throw new Meteor.Error('unknown-action', 'There is no "' + action + '" action to hook into.');
+    }
+    var collectionHooks = self._hooks[when][name] = self._hooks[when][name] || {};
+    collectionHooks[action] = (collectionHooks[action] || []).concat([fn]);
+  });
+}
+
+// The hooks registered for an action on a collection
 
-Transact.prototype._permissionCheckOverridden = function (opt) {
-  return typeof opt !== 'undefined' && opt.overridePermissionCheck;
+Transact.prototype._hooksFor = function (when, name, action) {
+  return (this._hooks[when][name] && this._hooks[when][name][action]) || [];
 }
 
-// Uses a user-defined permission check as to whether this action is allowed or not
+// The userId passed to hooks -- there is no user when transactions are repaired at startup
 
-Transact.prototype._permissionCheck = function (action, collection, doc, updates) { // insert and remove send null for "updates" param, but this is where all the details of any update are found
-  return this.checkPermission(action, collection, doc, updates);
+Transact.prototype._hookUserId = function () {
+  try {
+    return Meteor.userId();
+  }
+  catch (err) {
+    return null;
+  }
 }
 
-// Builds the context object
+// The action that the write for an item amounts to when it is made in the given direction
+// e.g. undoing an insert is a remove
 
-Transact.prototype._setContext = function (context) {
-  _.extend(this._context, context);  
+Transact.prototype._replayAction = function (item, direction) {
+  if (item.action === 'update' || direction === 'forward') {
+    return item.action;
+  }
+  return (item.action === 'insert') ? 'remove' : 'insert';
 }
 
-// This turns the data that has been stored in an array of key-value pairs into an object that mongo can use in an update
+// Runs the before hooks for an action on a collection (the collection object or its name)
+// `context` is extended onto the hooks' `this`, which otherwise describes the action being queued
+// Returns the reason given if a hook vetoed the action, otherwise null
 
-Transact.prototype._unpackageForUpdate = function (data) {;
-  var objForUpdate = {};
-  _.each(data, function (val) {
-    var unpackagedValue;
-    if (val.value.json) {
-      unpackagedValue = JSON.parse(val.value.json);
-    } else {
-      unpackagedValue = val.value;
+Transact.prototype._runBeforeHooks = function (action, collection, doc, modifier, context) {
+  var name = (_.isString(collection)) ? collection : collection._name;
+  var vetoReason = null;
+  var hookContext = _.extend({tx: this, action: action, collection: name, transaction_id: this._transaction_id, replay: null}, context, {
+    veto: function (reason) {
+      vetoReason = reason || 'The ' + action + ' on ' + name + ' was vetoed.';
     }
-    objForUpdate[val.key] = unpackagedValue;
   });
-  return objForUpdate;
+  var userId = this._hookUserId();
+  _.find(this._hooksFor('before', name, action), function (fn) {
+    if (fn.call(hookContext, userId, doc, modifier) === false && vetoReason === null) {
+      hookContext.veto();
+    }
+    return vetoReason !== null;
+  });
+  return vetoReason;
 }
 
-// This turns the data that is given as a mongo update into an array of key-value pairs that can be stored
-  
-Transact.prototype._packageForStorage = function (update) {
-  var arrForStorage = [];
-  _.each(update.data, function (value, key) {
-    var packagedValue;
-    if (_.isObject(value) || _.isArray(value)) {
-      packagedValue = {json: JSON.stringify(value)};
-    } else {
-      packagedValue = value;
+// Rolls back the open transaction because a before hook vetoed one of its actions
+
+Transact.prototype._vetoAction = function (action, collection, reason, callback) {
+  this._rollback = true;
+  this._rollbackReason = 'action-vetoed';
+  this._vetoReason = reason;
+  this.log('The ' + action + ' on ' + collection._name + ' was vetoed: ' + reason);
+  if (!this._transaction_id) {
+    // This write would have started its own transaction, so there's nothing to roll back
+    // Report the veto to the write's callback and leave the state clean for the next write
+    var error = this._rollbackError();
+    this._cleanReset();
+    if (_.isFunction(callback)) {
+      callback(error, false);
     }
-    arrForStorage.push({key: key, value: packagedValue});
+  }
+}
+
+// Runs the before hooks for the writes queued to undo or redo a transaction, before any of them are made
+// A queued item carries the `doc` it will insert or the `modifier` it will update with, so hooks can change them in place
+// Returns the reason given if a hook vetoed one of the writes, otherwise null
+
+Transact.prototype._vetoReplay = function (queuedItems, transaction_id, direction, replay) {
+  var self = this;
+  var vetoReason = null;
+  _.find(queuedItems, function (queuedItem) {
+    var item = queuedItem.item;
+    var doc = queuedItem.doc || self.collectionIndex[item.collection].findOne({_id: item._id});
+    vetoReason = self._runBeforeHooks(self._replayAction(item, direction), item.collection, doc, queuedItem.modifier, {transaction_id: transaction_id, replay: replay});
+    return vetoReason !== null;
   });
-  return {command: update.command, data: arrForStorage};
-  
+  return vetoReason;
 }
 
-// Given a dot delimited string as a key, and an object, find the value
+// Runs the after hooks for items once they have all been done (or undone, if `direction` is "backward")
+// Only on the server, like events -- a hook that throws is logged, but doesn't affect the transaction or the other hooks
 
-Transact.prototype._drillDown = function (obj, key) {
-  return Meteor._get.apply(null, [obj].concat(key.split('.')));
-  // Previous implementation, which worked fine but was more LOC than necessary
-  /*var pieces = key.split('.');
-  if (pieces.length > 1) {
-    var newObj = obj ? obj[pieces[0]] : {};
-    pieces.shift();
-    return this._drillDown(newObj,pieces.join('.'));
+Transact.prototype._runAfterHooks = function (transaction_id, items, direction, replay) {
+  var self = this;
+  if (!Meteor.isServer) {
+    return;
   }
-  else {
-    if (obj) {
-      return obj[key];
+  var userId = this._hookUserId();
+  _.each(items, function (item) {
+    var action = self._replayAction(item, direction);
+    var hooks = self._hooksFor('after', item.collection, action);
+    if (!hooks.length) {
+      return;
     }
-    else {
-      return; // undefined    
-    }    
-  }*/
+    // Removed documents are gone, so the hooks get the copy that was stored with the item
+    var doc = self.collectionIndex[item.collection].findOne({_id: item._id}) || ((item.action === 'insert') ? item.newDoc : item.doc);
+    var modifier = (action === 'update') ? self._modifierFromStorage((direction === 'forward') ? item.update : item.inverse) : undefined;
+    var hookContext = {tx: self, action: action, collection: item.collection, transaction_id: transaction_id, replay: replay || null};
+    _.each(hooks, function (fn) {
+      try {
+        fn.call(hookContext, userId, doc, modifier);
+      }
+      catch (err) {
+        self.log('Error in after "' + action + '" hook on ' + item.collection + ':', err);
+      }
+    });
+  });
 }
 
-// Default inverse operation that uses $set to restore original state of updated fields
+// Calls one of the admin undo/redo methods
 
-Transact.prototype._inverseUsingSet = function (collection, existingDoc, updateMap, opt) {
-  var self = this, inverseCommand = '$set', formerValues = {};
-  _.each(_.keys(updateMap), function (keyName) {
-    var formerVal = self._drillDown(existingDoc, keyName);
-    if (typeof formerVal !== 'undefined') {
-      // Restore former value
-      inverseCommand = '$set';
-      formerValues[keyName] = formerVal;
+Transact.prototype._callAdmin = function (methodName, txid, callback) {
+  var self = this;
+  Meteor.call(methodName, txid, function (err, res) {
+    var expired = !!(res && res.expired);
+    if (Meteor.isClient && expired && _.isFunction(self.onTransactionExpired)) {
+      self.onTransactionExpired.call(self, err, expired);
     }
-    else {
-      // Field was already unset, so just $unset it again
-      inverseCommand = '$unset';
-      formerValues[keyName] = '';
+    if (_.isFunction(callback)) {
+      callback.call(self, err, !err && !expired);
     }
   });
-  return {command: inverseCommand, data: formerValues};
-};
+}
 
-Transact.prototype._Collection2Support = function (collection, opt) {
-  // The following is a very sketchy attempt to support collection2 options
-  // Requires aldeed:collection2 to be before babrahams:transactions in .packages
-  // which we do through a weak dependency on aldeed:collection2
-  return _.isFunction(collection.simpleSchema)
-    && collection.simpleSchema() !== null
-    && _.find([
-      "validationContext",
-      "validate",
-      "filter",
-      "autoConvert",
-      "removeEmptyStrings",
-      "getAutoValues",
-      "replace",
-      "upsert",
-      "extendAutoValueContext",
-      "trimStrings",
-      "extendedCustomContext",
-      "transform"
-    ],
-    function (c2option) {
-      return typeof opt[c2option] !== "undefined";
-    }
-  );
+// Checks whether the first param of undo or redo is an options hash like {steps: 3} or {scope: 'doc:123'}, rather than a txid or callback
+
+Transact.prototype._isStepOptions = function (options) {
+  return _.isObject(options) && !_.isFunction(options);
 }
 
-Transact.prototype._changeItemState = function (data) {
-  
-  // Need to make a write to the transaction record, marking this action as `done`
-  var m = {};
-  m["items." + data.index + ".state"] = data.state;
-  Transactions.update({_id: data.txid}, {$set: m});
-  
+// The options to send to the server for an undo or redo called with an options hash -- one step, unless it says otherwise
+
+Transact.prototype._stepOptions = function (options) {
+  var stepOptions = {steps: (typeof options.steps !== 'undefined') ? options.steps : 1};
+  if (options.scope) {
+    stepOptions.scope = options.scope;
+  }
+  return stepOptions;
+}
+
+// Calls one of the methods that undo or redo several transactions in one go
+// The callback gets (err, success, report) -- where `success` is false if any of the transactions had expired
+// and `report` is {transaction_ids: [...], expired: <_id or null>, notAttempted: [...], writes: [...]}
+
+Transact.prototype._callSteps = function (methodName, options, callback) {
+  var self = this;
+  Meteor.call(methodName, options, function (err, res) {
+    var expired = !!(res && res.expired);
+    if (Meteor.isClient && expired && _.isFunction(self.onTransactionExpired)) {
+      self.onTransactionExpired.call(self, err, expired);
+    }
+    if (_.isFunction(callback)) {
+      callback.call(self, err, !err && !expired, res);
+    }
+  });
 }
 
 // This (tx) is the object that gets exported for the app to interact with
@@ -1059,67 +2486,120 @@ else {
 // Although these methods are pretty large, we're including them on both client and server
 // because we want to maintain latency compensation on the client
 
+// The options for undoing or redoing several transactions -- a number of steps has to be at least 1
+
+var stepOptionsPattern = {
+  steps: Match.Optional(Match.Where(function (steps) {
+    check(steps, Match.Integer);
+    return steps >= 1;
+  })),
+  until: Match.Optional(String),
+  scope: Match.Optional(String)
+};
+
 Meteor.methods({
     
-  '_meteorTransactionsProcess' : function (txid, description, items, context) {
+  '_meteorTransactionsProcess' : function (txid, description, items, context, scope, coalesce) {
     check(txid,String);
     check(description,String);
-    check(items, Array);
-    if (!tx._checkTransactionFields(items, txid)) {
+    check(context, Match.Optional(Object));
+    check(scope, Match.OneOf(String, null, undefined));
+    check(coalesce, Match.OneOf(null, undefined, {key: String, window: Match.Integer}));
+    // Items committed from the client aren't trusted -- they can't skip the permission check
+    // and can't say that writes were done instantly unless the server recorded them when they were made
+    // A commit made on the server has this transaction open in its state, which `commit` binds to this method call
+    // (`this.connection` doesn't tell us, because a method called from inside another method inherits that method's connection)
+    var fromClient = Meteor.isServer && tx._transaction_id !== txid;
+    tx._checkItems(items, fromClient);
+    var existingTransaction = Transactions.findOne({_id: txid});
+    if (fromClient) {
+      tx._checkClientItems(items, existingTransaction);
+    }
+    if (!tx._checkTransactionFields(items, txid, null, !fromClient)) {
       throw new Meteor.Error('Transaction not allowed'); // TODO -- we need a bit of a better error message than this!
       return; 
     }
-    // Here is where we need to execute the 2-phase commit
-    // We begin by setting the transaction document with all write info to a state of pending
-    var existingTransaction = Transactions.findOne({_id: txid});
-    if (existingTransaction) {
-      // throw new Meteor.Error('Transaction with duplicate _id found');
-      // return;
-      // This is here because we have some {instant: true} calls
-      // Overwrite the items field with the full complement
-      Transactions.update({_id: txid}, {$set: {items: items}});
-    }
-    
+    // Undo and redo only honour the noCheck flag on items if the server has flagged the transaction like this
+    var overridden = (!fromClient && _.some(items, function (item) { return item.noCheck; })) ? {overridePermissionCheck: true} : {};
     // First, need to iterate over the changes that are going to be made and make sure that,
     // if there are hard removes, the db version of the doc gets stored on the transaction
     _.each(items, function (item, index) {
-      if (item.action === "remove" && item.hardDelete) {
+      if (item.action === "remove" && item.hardDelete && !item.instant) {
         // Get the existing doc and store it in the transaction record
-        // We overwrite the temporary version of the doc from an instant remove on the client
-        // Because chances are that the whole document was not available on the client
+        // Instant removes are already gone from the db -- the copy recorded when the remove was made is kept for those
         var Collection = tx.collectionIndex[item.collection];
         var doc = Collection.findOne({_id: item._id});
         items[index].doc = doc;
       }
     });
+    // Here is where we need to execute the 2-phase commit
+    // We begin by setting the transaction document with all write info to a state of pending
+    if (existingTransaction) {
+      // throw new Meteor.Error('Transaction with duplicate _id found');
+      // return;
+      // This is here because we have some {instant: true} calls
+      // Overwrite the items field with the full complement
+      Transactions.update({_id: txid}, {$set: _.extend({items: items}, overridden, tx._lease())});
+    }
     
     // STEP 1 - Set initial state of transaction to "pending"
-     if (!existingTransaction && !Transactions.insert({_id: txid, user_id: Meteor.userId(), description: description, items: items, context: context, lastModified: ServerTime.date(), state: "pending"})) {
+     if (!existingTransaction && !Transactions.insert(_.extend({_id: txid, user_id: Meteor.userId(), description: description, items: items, context: context, lastModified: ServerTime.date(), state: "pending"}, (scope) ? {scope: scope} : {}, overridden, tx._lease()))) {
        throw new Meteor.Error('Unable to commit transaction');
        return; 
      }
     
     // STEP 2 - Make changes specified by items in the queue
     var success = true;
+    // Inverses that restore former values of fields (using $set or $unset) are worked out when the action is queued
+    // so they're wrong if an earlier action in this transaction touched the same fields
+    // We keep track of the values the touched fields hold after each action, and fix up those inverses as we go
     var updateCache = {};
-    var cacheValues = function (item, index) {
-      _.each(item.update.data, function (keyValuePair, i) {
-        if (_.isUndefined(updateCache[item.collection])) {
-          updateCache[item.collection] = {};
-        }
-        if (_.isUndefined(updateCache[item.collection][item._id])) {
-          updateCache[item.collection][item._id] = {};
+    var cachedValues = function (item) {
+      if (_.isUndefined(updateCache[item.collection])) {
+        updateCache[item.collection] = {};
+      }
+      if (_.isUndefined(updateCache[item.collection][item._id])) {
+        updateCache[item.collection][item._id] = {};
+      }
+      return updateCache[item.collection][item._id];
+    }
+    var fixInverse = function (item, index) {
+      var inverse = tx._modifierFromStorage(item.inverse);
+      if (!inverse || _.without(_.keys(inverse), '$set', '$unset').length) {
+        return;
+      }
+      var cache = cachedValues(item);
+      var formerValues = {}, fixed = false;
+      _.each(inverse, function (inverseData, command) {
+        _.each(inverseData, function (value, key) {
+          if (_.has(cache, key)) {
+            formerValues[key] = cache[key];
+            fixed = true;
+          }
+          else {
+            formerValues[key] = (command === '$set') ? value : undefined;
+          }
+        });
+      });
+      if (fixed) {
+        // Overwrite the transaction record now, because we know it has the wrong inverse value
+        item.inverse = tx._packageForStorage(tx._inverseFromFormerValues(formerValues));
+        var mod = {};
+        mod["items." + index + ".inverse"] = item.inverse;
+        Transactions.update({_id: txid}, {$set: mod});
+      }
+    }
+    var cacheValues = function (item, doc) {
+      // `doc` is the state of the document after the update
+      // If we don't know what that is, the cache is cleared for the touched fields
+      var cache = cachedValues(item);
+      _.each(tx._touchedPaths(item.update), function (path) {
+        if (doc) {
+          cache[path] = tx._drillDown(doc, path);
         }
-        // If there's an item in the update cache, we need to overwrite the transaction record now
-        // Because we know it probably has the wrong inverse value
-        if (!_.isUndefined(updateCache[item.collection][item._id][keyValuePair.key])) {
-          var mod = tx._unpackageForUpdate([{
-            key: "items." + index + ".inverse.data." + i + ".value",
-            value: updateCache[item.collection][item._id][keyValuePair.key]
-          }]);
-          Transactions.update({_id: txid}, {$set: mod});          
+        else {
+          delete cache[path];
         }
-        updateCache[item.collection][item._id][keyValuePair.key] = keyValuePair.value;
       });
     }
     var newIdValues = {};
@@ -1128,8 +2608,15 @@ Meteor.methods({
         if (item.instant) {
           // Already done -- don't do it again
           if (item.action === 'update') {
-             // Cache values
-             cacheValues(item, index);
+            // Cache values
+            fixInverse(item, index);
+            if (item.update.command === '$set') {
+              // We know exactly what values a $set gave the fields
+              _.extend(cachedValues(item), tx._unpackageForUpdate(item.update.data));
+            }
+            else {
+              cacheValues(item, null);
+            }
           }
           return;    
         }
@@ -1157,9 +2644,10 @@ Meteor.methods({
               // Add a $set modifier
               modifier["$set"] = txData;
             }
+            fixInverse(item, index);
             if (Collection.update({_id: item._id}, modifier)) {
               // Cache values
-              cacheValues(item, index);
+              cacheValues(item, Collection.findOne({_id: item._id}));
               tx.log("Executed update");
             }
             else {
@@ -1203,17 +2691,72 @@ Meteor.methods({
       
     // STEP 3 - Set state to "done"
     if (success) {
-      Transactions.update({_id: txid}, {$set: {state: "done", lastModified: ServerTime.date()}});
+      Transactions.update({_id: txid}, {$set: _.extend({state: "done", lastModified: ServerTime.date()}, (coalesce) ? {coalesceKey: coalesce.key} : {}), $unset: {owner: 1, leaseExpires: 1}});
+      if (tx.clearRedoStackOnCommit) {
+        tx._clearRedoStack(scope);
+      }
       var finalTxRecord = Transactions.findOne({_id: txid});
-      return {items: finalTxRecord.items};
+      tx._runAfterHooks(txid, finalTxRecord.items, 'forward');
+      // Coalescing repoints documents at another transaction, so is left to the server
+      var transactionId = (coalesce && Meteor.isServer) ? tx._coalesceTransaction(finalTxRecord, coalesce.window) : txid;
+      tx._fireEvent('commit', Transactions.findOne({_id: transactionId}), {success: true, coalesced: transactionId !== txid});
+      return {items: finalTxRecord.items, transaction_id: transactionId};
     }
     else {
       // Need to run the items through a rollback with actual inverse writes
-      tx.rollback();  
+      if (tx._transaction_id === txid) {
+        tx.rollback();
+      }
+      else {
+        // The commit came from the client, so there is no transaction open on the server for tx.rollback() to roll back and report
+        tx._fireEvent('rollback', Transactions.findOne({_id: txid}), {success: false, reason: 'A write failed during the commit'});
+      }
     }
     
   },
   
+  '_meteorTransactionsRecord' : function (txid, description, context, scope, item) {
+    check(txid, String);
+    check(description, String);
+    check(context, Match.Optional(Object));
+    check(scope, Match.OneOf(String, null, undefined));
+    check(item, Object);
+    if (tx.requireUser && !Meteor.userId()) {
+      throw new Meteor.Error('permission-denied', 'You must be logged in to record actions.');
+    }
+    // Records a write that the client is making instantly -- an update or remove just before the write arrives from the client, an insert just after
+    // The server marks it as done and, for a hard remove, takes its own copy of the document while it's still in the db
+    if (_.has(item, 'instant') || _.has(item, 'state')) {
+      throw new Meteor.Error('permission-denied', 'The state of a recorded write is set by the server.');
+    }
+    item = _.extend(item, {instant: true, state: 'done'});
+    tx._checkItems([item], true);
+    var existingTransaction = Transactions.findOne({_id: txid});
+    if (existingTransaction && (existingTransaction.user_id !== Meteor.userId() || existingTransaction.state !== 'pending')) {
+      throw new Meteor.Error('permission-denied', 'Only your own pending transactions can be recorded to.');
+    }
+    if (!tx._checkTransactionFields([item], txid)) {
+      throw new Meteor.Error('permission-denied', 'The ' + item.action + ' of ' + item._id + ' in ' + item.collection + ' is not allowed.');
+    }
+    if (item.action === 'remove' && item.hardDelete) {
+      var doc = tx.collectionIndex[item.collection].findOne({_id: item._id});
+      item.doc = (doc) ? _.extend(doc, {transaction_id: txid, deleted: ServerTime.date()}) : null;
+    }
+    if (!existingTransaction) {
+      Transactions.insert(_.extend({
+        _id: txid,
+        user_id: Meteor.userId() || null,
+        lastModified: ServerTime.date(),
+        description: description,
+        context: context || {},
+        state: "pending"
+      }, (scope) ? {scope: scope} : {}));
+    }
+    // No server is writing this transaction, so there's no lease -- instead, each recorded write marks it as modified
+    // which keeps the recovery sweep off it while the client is still building it
+    Transactions.update({_id: txid}, {$addToSet: {items: item}, $set: {lastModified: ServerTime.date()}});
+  },
+  
   '_meteorTransactionsUndo' : function (txid) {
     check(txid,Match.OneOf(String,null,undefined));
     if (tx.requireUser && !Meteor.userId()) {
@@ -1221,101 +2764,20 @@ Meteor.methods({
       return;
     }
     // Get the latest transaction done by this user and undo it
-    var expired = false;
-    var queuedItems = [];
     var selector = (txid) ? { _id: txid} : {user_id: Meteor.userId()};
     var sorter = (txid) ? undefined : {sort: {lastModified: -1}, limit:1};
-    var lastTransaction = Transactions.find(_.extend(selector, {$or: [{undone: null}, {undone: {$exists: false}}], expired: {$exists: false}, state: "done"}), sorter).fetch()[0];
-    if (lastTransaction && typeof lastTransaction.items !== 'undefined') {
-      // Check that user still has permission to edit all these items
-      // Undo in reverse order
-      // e.g. Need to undo removes first, so that docs are available for undo updates if docs were updated before removal
-      if (tx._checkTransactionFields(lastTransaction.items, lastTransaction._id)) {
-        _.each(lastTransaction.items.reverse(), function (obj, index) {
-          if (obj.action === 'remove') {
-            if (!expired) {
-              if (obj.doc) {
-                // This doc is here because the original was removed
-                // First check for duplicates -- if there is one, the transaction has expired
-                if (tx.collectionIndex[obj.collection].find(obj.doc._id).count()) {
-                  expired = true;  
-                }
-                else {
-                  queuedItems.push(function (){
-                    tx.collectionIndex[obj.collection].insert(obj.doc);
-                  });
-                }
-              }
-              else {
-                // This was removed with softDelete
-                queuedItems.push(function (){
-                  tx.collectionIndex[obj.collection].update({_id: obj._id}, {$unset: {deleted: 1, transaction_id: lastTransaction._id}});
-                });
-              }
-            }
-          }
-          if (obj.action === 'update') {
-            if (!expired) {
-              if (typeof obj.inverse !== 'undefined' && obj.inverse.command && obj.inverse.data) {
-                var operation = {};
-                operation[obj.inverse.command] = tx._unpackageForUpdate(obj.inverse.data); // console.log('inverse operation:'+JSON.stringify(operation));
-                queuedItems.push(function (){
-                  tx.collectionIndex[obj.collection].update({_id: obj._id}, operation);
-                  /* console.log("operation called:"+JSON.stringify(operation)); */
-                });
-              }
-            }
-          }
-          if (obj.action === 'insert') {
-            if (!expired) {
-              var sel = {_id: obj._id};
-              // This transaction check is in case the document has been subsequently edited -- in that case, we don't want it removed from the database completely
-              // Instead, we remove this transaction from the visible list by setting expired to true
-              sel.transaction_id = lastTransaction._id;
-              queuedItems.push(function () { tx.collectionIndex[obj.collection].remove(sel); } );
-              if (tx.collectionIndex[obj.collection].findOne({_id: obj._id, $and: [{transaction_id: {$exists: true}}, {transaction_id: {$ne: lastTransaction._id}}]})) {
-                // Transaction has expired
-                expired = true; // This is to tell the client that the transaction has expired and the undo was not executed
-              }
-            }
-          }
-        });
-        if (!expired) {
-          // Process queue
-          _.each(queuedItems,function (queuedItem, index) {
-            var fail = false;
-            try {
-              queuedItem.call();
-            }
-            catch (err) {
-              fail = true;    
-            }
-            if (!fail) {
-              tx._changeItemState({
-                txid: lastTransaction._id,
-                index: (queuedItems.length - 1) - index, // Because array has been reversed for undo
-                state: 'undone'
-              });
-            }
-          });
-        // After an undo, we need to update transaction document
-          Transactions.update({_id: lastTransaction._id}, {$set: {undone: ServerTime.date(), state: 'undone'}});
-        }
-      }
-      else {
-        // Non-empty transaction, but user has lost the permission to edit at least one of the items encompassed by the transaction
-        expired = true; 
-      }
-      if (expired) {
-        // Flag this as expired in the db to keep it out of the user's undo/redo stack
-        Transactions.update({_id: lastTransaction._id}, {$set: {expired: true}});  
-      }
-    }
-    else if (lastTransaction) {
-      // Auto clean - this transaction is empty
-      Transactions.remove({_id: lastTransaction._id});
+    var lastTransaction = Transactions.find(_.extend(selector, tx._undoableSelector()), sorter).fetch()[0];
+    tx._checkCanActOnTransaction(lastTransaction, 'undo');
+    return tx._undoTransaction(lastTransaction);
+  },
+  
+  '_meteorTransactionsUndoSteps' : function (options) {
+    check(options, stepOptionsPattern);
+    if (tx.requireUser && !Meteor.userId()) {
+      console.log('You must be logged in to undo actions.');
+      return;
     }
-    return expired; // If the function returns true, the undo failed
+    return tx._undoRedoSteps('undo', options);
   },
   
   '_meteorTransactionsRedo' : function (txid) {
@@ -1325,81 +2787,32 @@ Meteor.methods({
       return;
     }
     // Get the latest undone transaction by this user and redo it
-    var expired = false;
-    var queuedItems = [];
     var selector = (txid) ? {_id: txid} : {user_id: Meteor.userId()};
     var sorter = (txid) ? undefined : {sort: {undone: -1}, limit: 1};
-    var lastUndo = Transactions.find(_.extend(selector, {undone: {$exists: true, $ne: null}, expired: {$exists: false}}), sorter).fetch()[0];
-    if (lastUndo && typeof lastUndo.items !== 'undefined') {
-      // Check that user still has permission to edit all these items
-      if (tx._checkTransactionFields(lastUndo.items, lastUndo._id)) {
-        _.each(lastUndo.items, function (obj, index) {
-          if (obj.action === "remove") {
-            if (obj.doc) {
-              // This document was removed using a hard delete the first time
-              // We'll hard delete again, making no attempt to save any modifications that have happened to the document in the interim
-              queuedItems.push(function () {tx.collectionIndex[obj.collection].remove({_id: obj._id})});
-            }
-            else {
-              queuedItems.push(function () {tx.collectionIndex[obj.collection].update({_id: obj._id}, {$set: {deleted: ServerTime.date(), transaction_id: lastUndo._id}})});
-            }
-          }
-          if (obj.action === "update") {
-            if (typeof obj.update !== 'undefined' && obj.update.command && obj.update.data) {
-              var operation = {};
-              operation[obj.update.command] = tx._unpackageForUpdate(obj.update.data);// console.log(operation);
-              queuedItems.push(function () { tx.collectionIndex[obj.collection].update({_id: obj._id}, operation); });
-            }
-          }
-          if (obj.action === "insert") {
-            if (!expired) {
-              if (!tx.collectionIndex[obj.collection].find({_id: obj._id}).count()) {
-                var newDoc = _.extend(obj.newDoc, {transaction_id: lastUndo._id,_id: obj._id});
-                queuedItems.push(function () { tx.collectionIndex[obj.collection].insert(newDoc) });
-              }
-              else {
-                // This is an edited doc that was not removed on last undo
-                // Transaction has expired
-                expired = true; // This is to tell the client that the transaction has expired and the reodo was not executed
-              }
-            }
-          }
-          if (!expired) {
-              
-          }
-        });
-        if (!expired) {
-          // Process queue
-          _.each(queuedItems, function (queuedItem, index) {
-            var fail = false;
-            try {
-              queuedItem.call();
-            }
-            catch (err) {
-              fail = true;    
-            }
-            if (!fail) {
-              tx._changeItemState({
-                txid: lastUndo._id,
-                index: index,
-                state: 'done'
-              });
-            }
-          });
-          // After a redo, we need to update the transaction document
-          Transactions.update({_id: lastUndo._id}, {$unset: {undone: 1}, $set: {state: 'done'}}); // ,$set:{timestamp:ServerTime.date()} -- LEADS TO UNEXPECTED RESULTS
-        }
-      }
-      else {
-        // User no longer has permission to edit one of the items in this transaction
-        expired = true;  
-      }
-      if (expired) {
-        // Flag this transaction as expired to keep it out of the user's undo-redo stack
-        Transactions.update({_id: lastUndo._id}, {$set: {expired: true}});  
-      }
+    var lastUndo = Transactions.find(_.extend(selector, tx._redoableSelector()), sorter).fetch()[0];
+    tx._checkCanActOnTransaction(lastUndo, 'redo');
+    return tx._redoTransaction(lastUndo);
+  },
+  
+  '_meteorTransactionsRedoSteps' : function (options) {
+    check(options, stepOptionsPattern);
+    if (tx.requireUser && !Meteor.userId()) {
+      console.log('You must be logged in to redo actions.');
+      return;
     }
-    return expired; // If the function returns true, the redo failed
+    return tx._undoRedoSteps('redo', options);
+  },
+  
+  '_meteorTransactionsAdminUndo' : function (txid) {
+    check(txid, String);
+    tx._checkAdmin();
+    return tx._undoTransaction(Transactions.findOne(_.extend({_id: txid}, tx._undoableSelector())));
+  },
+  
+  '_meteorTransactionsAdminRedo' : function (txid) {
+    check(txid, String);
+    tx._checkAdmin();
+    return tx._redoTransaction(Transactions.findOne(_.extend({_id: txid}, tx._redoableSelector())));
   }
   
 });
@@ -1415,12 +2828,16 @@ if (typeof Mongo === "undefined") {
   Mongo.Collection = Meteor.Collection;
 }
 
-_.each(['insert', 'update', 'remove'], function (methodName) {
+_.each(['insert', 'update', 'upsert', 'remove'], function (methodName) {
   var _super = Mongo.Collection.prototype[methodName];
   Mongo.Collection.prototype[methodName] = function () {
     var self = this, args = _.toArray(arguments); // self is the Mongo.Collection instance
-    var optionsArg = (methodName === 'update') ? 2 : 1;
+    var optionsArg = (methodName === 'update' || methodName === 'upsert') ? 2 : 1;
     if (_.isObject(args[optionsArg]) && args[optionsArg].tx) {
+      if (methodName !== 'insert' && _.isObject(args[0]) && _.size(args[0]) > 1 && !tx._isSelector(args[0])) {
+        // tx.update, tx.upsert and tx.remove take an object with an _id to be a document, which would drop the other conditions of this selector
+        args[0] = {$and: [args[0]]};
+      }
       args.unshift(self);
       return tx[methodName].apply(tx,args);
     }
@@ -1490,6 +2907,41 @@ Meteor.startup(function () {
           "state": {
             type:String,
             label:"state"  
+          },
+          "scope": {
+            type:String,
+            label:"Scope",
+            optional:true
+          },
+          "undoneBy": {
+            type:String,
+            label:"Undone by",
+            optional:true
+          },
+          "redoneBy": {
+            type:String,
+            label:"Redone by",
+            optional:true
+          },
+          "coalesceKey": {
+            type:String,
+            label:"Coalesce key",
+            optional:true
+          },
+          "owner": {
+            type:String,
+            label:"Lease owner",
+            optional:true
+          },
+          "leaseExpires": {
+            type:Date,
+            label:"Lease expires",
+            optional:true
+          },
+          "overridePermissionCheck": {
+            type:Boolean,
+            label:"Override permission check",
+            optional:true
           }
         });
         tx.Transactions.attachSchema(TransactionSchema);
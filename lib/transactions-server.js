@@ -5,6 +5,22 @@
 // MIT Licence 2015
 // *******************************
   
+// Publishes the user's recent transactions, for `tx.canUndo()`, `tx.canRedo()`, `tx.undoStack()` and `tx.redoStack()` on the client
+// The items are left out, as the client only needs to know what's on the stack, not what the transactions did
+
+Meteor.publish('_meteorTransactionsStack', function () {
+  if (!this.userId && tx.requireUser) {
+    return this.ready();
+  }
+  var since = new Date(ServerTime.date().getTime() - tx.undoTimeLimit * 1000);
+  return Transactions.find({
+    user_id: this.userId,
+    state: {$in: ['done', 'undone']},
+    expired: {$exists: false},
+    $or: [{lastModified: {$gt: since}}, {undone: {$gt: since}}]
+  }, {fields: {items: 0, context: 0, owner: 0, leaseExpires: 0}});
+});
+
 // This script makes an attempt to restore db state after a break during a transaction
 
 Meteor.startup(function() {
@@ -16,29 +32,224 @@ Meteor.startup(function() {
     Transactions.remove({state: {$nin: ['done', 'undone']}});
   }
   
-  Transact.prototype._repairAllIncomplete = function (mode) {
+  // Repairs every incomplete transaction that no server holds a lease on (or just those matching `selector`, if it's given)
+  // Returns a report of the transactions that were and weren't repaired
+  
+  Transact.prototype._repairAllIncomplete = function (mode, selector) {
+    var report = {mode: mode, succeeded: [], failed: []};
     if (_.contains(['complete', 'rollback'], mode)) {
-      var sortDirection = (mode === 'rollback') ? -1 : 1;
-      Transactions.find({state: 'pending'}, {sort: {lastModified: sortDirection}}).forEach(function (transaction) {
-        tx._repairIncomplete(transaction, mode); 
+      tx._incompleteTransactions(mode, selector).forEach(function (transaction) {
+        var transactionReport = tx._repairIncomplete(transaction, mode);
+        report[(transactionReport.success) ? 'succeeded' : 'failed'].push(transactionReport);
       });
     }
+    return report;
+  }
+  
+  /**
+   * Returns the plan for repairing incomplete transactions with `mode` ("complete" or "rollback"), without writing anything
+   * For each transaction, the plan lists every item, the write that the repair would make for it,
+   * and whether the target document's `transaction_id` still matches the transaction
+   */
+  
+  Transact.prototype.planRepair = function (mode) {
+    var mode = mode || tx.selfRepairMode;
+    if (!_.contains(['complete', 'rollback'], mode)) {
+      return [];
+    }
+    return tx._incompleteTransactions(mode).map(function (transaction) {
+      var direction = tx._repairDirection(transaction, mode);
+      return {
+        transaction_id: transaction._id,
+        description: transaction.description,
+        state: transaction.state,
+        direction: direction,
+        items: _.map(tx._repairOrder(transaction, direction), function (index) {
+          var item = transaction.items[index];
+          var doc = tx.collectionIndex[item.collection].findOne({_id: item._id});
+          var skipped = !tx._needsRepair(item, direction);
+          return {
+            index: index,
+            action: item.action,
+            collection: item.collection,
+            _id: item._id,
+            state: item.state,
+            skipped: skipped,
+            write: (skipped) ? null : tx._repairWrite(item, transaction, direction),
+            transactionIdMatches: !!doc && doc.transaction_id === transaction._id
+          };
+        })
+      };
+    });
+  }
+  
+  // The incomplete transactions that no server holds a lease on, in the order they'd be repaired
+  // Transactions in a 'complete' or 'rollback' state are ones whose last repair was interrupted
+  
+  Transact.prototype._incompleteTransactions = function (mode, selector) {
+    var sortDirection = (mode === 'rollback') ? -1 : 1;
+    return Transactions.find(_.extend({state: {$in: ['pending', 'complete', 'rollback', 'undoing', 'redoing']}}, tx._leaseExpiredSelector(), selector), {sort: {lastModified: sortDirection}});
+  }
+  
+  // Schedules a single repair of the incomplete transactions that are still leased at startup, for when the last of those leases runs out
+  // These can be held by this server's previous instance, which went down part way through a commit, undo or redo
+  // Any of them whose lease a live server has renewed in the meantime is skipped, and left to the recovery sweep (if it's on)
+  // Returns the handle from Meteor.setTimeout, or null if no incomplete transaction is leased
+  
+  Transact.prototype._scheduleLeasedRepair = function (mode) {
+    var leased = Transactions.find({state: {$in: ['pending', 'complete', 'rollback', 'undoing', 'redoing']}, leaseExpires: {$gte: ServerTime.date()}}, {fields: {leaseExpires: 1}}).fetch();
+    if (!leased.length) {
+      return null;
+    }
+    var lastExpiry = _.max(_.map(leased, function (transaction) { return transaction.leaseExpires.getTime(); }));
+    var delay = lastExpiry - ServerTime.date().getTime() + 1;
+    tx.log('Repair of ' + leased.length + ' leased incomplete transaction(s) scheduled in ' + delay + 'ms');
+    return Meteor.setTimeout(function () {
+      tx._repairAllIncomplete(mode, {_id: {$in: _.pluck(leased, '_id')}});
+    }, delay);
+  }
+  
+  // Repairs transactions that have been stuck part way through for longer than `tx.recoveryThreshold`
+  // This is what the background recovery sweeper runs every `tx.recoveryInterval` milliseconds
+  // A transaction that a client is building with instant writes is marked as modified by each write it records, so it's left alone while the client is active
+  
+  Transact.prototype._sweepIncomplete = function (mode) {
+    var mode = mode || tx.selfRepairMode;
+    if (!_.contains(['complete', 'rollback'], mode)) {
+      return;
+    }
+    var threshold = new Date(ServerTime.date().getTime() - tx.recoveryThreshold);
+    var selector = _.extend({state: {$in: ['pending', 'complete', 'rollback', 'undoing', 'redoing']}, lastModified: {$lt: threshold}}, tx._leaseExpiredSelector());
+    Transactions.find(selector, {sort: {lastModified: 1}}).forEach(function (transaction) {
+      if (tx._repairIncomplete(transaction, mode).success) {
+        tx.log('Recovery sweep repaired transaction ' + transaction._id + ' (' + transaction.state + ') by ' + mode);
+      }
+      else {
+        tx.log('Recovery sweep could not repair transaction ' + transaction._id + ' (' + transaction.state + ') by ' + mode);
+      }
+    });
+  }
+  
+  // Works out which way the items of an incomplete transaction need to be written to repair it
+  // 'forward' means writing the updates (as in a commit or redo), 'backward' means writing the inverses (as in an undo)
+  // Completing an undo, or rolling back a commit or redo, goes backward
+  // A transaction already in the 'complete' or 'rollback' state is one whose repair was interrupted
+  
+  Transact.prototype._repairDirection = function (transaction, mode) {
+    switch (transaction.state) {
+      case 'complete' :
+        return 'forward';
+      case 'rollback' :
+        return 'backward';
+      case 'undoing' :
+        return (mode === 'complete') ? 'backward' : 'forward';
+      default :
+        return (mode === 'complete') ? 'forward' : 'backward';
+    }
+  }
+  
+  // The indexes of a transaction's items, in the order they are repaired
+  
+  Transact.prototype._repairOrder = function (transaction, direction) {
+    var indexes = _.range((transaction.items || []).length);
+    return (direction === 'backward') ? indexes.reverse() : indexes;
+  }
+  
+  // Whether an item still needs writing, or the write we want to do for it is already done
+  
+  Transact.prototype._needsRepair = function (item, direction) {
+    return _.contains((direction === 'forward') ? ['pending', 'undone'] : ['done'], item.state);
+  }
+  
+  // Works out the write that repairing a single item would make, without making it
+  // Returns null if there is nothing to write
+  // `checkResult` is true if the write doing nothing means that it failed
+  
+  Transact.prototype._repairWrite = function (item, transaction, direction) {
+    var Collection = tx.collectionIndex[item.collection];
+    var selector = {_id: item._id};
+    switch (item.action) {
+      case 'insert' :
+        if (direction === 'forward') {
+          // The insert may have happened before the server went down, but the item state not been written
+          return (Collection.findOne(selector)) ? null : {method: 'insert', doc: _.extend({}, item.newDoc, {_id: item._id, transaction_id: transaction._id}), checkResult: true};
+        }
+        return {method: 'remove', selector: selector, checkResult: false};
+      case 'remove' :
+        if (direction === 'forward') {
+          if (item.hardDelete) {
+            // We are storing the document as it was then, not as it is now
+            // to preserve some consistency in case of later updates
+            return {method: 'remove', selector: selector, checkResult: false};
+          }
+          return {method: 'update', selector: selector, modifier: {$set: {deleted: ServerTime.date(), transaction_id: transaction._id}}, checkResult: true};
+        }
+        if (item.hardDelete) {
+          return (Collection.findOne(selector)) ? null : {method: 'insert', doc: item.doc, checkResult: true};
+        }
+        // Can't check the result, as those fields might already be unset, resulting in a 0 being returned
+        return {method: 'update', selector: selector, modifier: {$unset: {deleted: 1, transaction_id: 1}}, checkResult: false};
+      case 'update' :  
+        var operation = tx._modifierFromStorage((direction === 'forward') ? item.update : item.inverse);
+        // Can't check the result, as the write might leave the document unchanged
+        return (operation) ? {method: 'update', selector: selector, modifier: operation, checkResult: false} : null;
+    }
+    return null;
+  }
+  
+  // Makes the write for a single item of a transaction that is being repaired
+  // Returns true if the write failed
+  
+  Transact.prototype._repairItem = function (item, transaction, direction) {
+    var write = tx._repairWrite(item, transaction, direction);
+    if (!write) {
+      return false;
+    }
+    var Collection = tx.collectionIndex[item.collection];
+    // Before hooks can change the write as for undo and redo, but a veto just leaves the item unrepaired
+    var action = tx._replayAction(item, direction);
+    var vetoReason = tx._runBeforeHooks(action, item.collection, write.doc || Collection.findOne(write.selector), (action === 'update') ? write.modifier : undefined, {transaction_id: transaction._id, replay: 'repair'});
+    if (vetoReason !== null) {
+      throw new Meteor.Error('action-vetoed', vetoReason);
+    }
+    var result;
+    switch (write.method) {
+      case 'insert' :
+        result = Collection.insert(write.doc);
+        break;
+      case 'update' :
+        result = Collection.update(write.selector, write.modifier);
+        break;
+      case 'remove' :
+        result = Collection.remove(write.selector);
+        break;
+    }
+    return write.checkResult && !result;
   }
   
   // Attempts to repair incomplete transactions
+  // This covers interrupted commits (state 'pending'), undos (state 'undoing') and redos (state 'redoing')
   // `transaction` is a single transaction document
-  // `type` is a string -- possible values: "complete", "rollback"
+  // `mode` is a string -- possible values: "complete", "rollback"
+  // Returns a report of what happened to the transaction and each of its items
   
   Transact.prototype._repairIncomplete = function (transaction, mode) {
     tx.log('Attempting to repair transaction by ' + mode + ':', transaction);
-    // Set the state of this transaction to the mode until it is complete
-    if (!Transactions.update({_id: transaction._id}, {$set: {state: mode}})) {
-      tx.log('Unable to ' + mode + ' transaction');
-      return;    
+    var direction = tx._repairDirection(transaction, mode);
+    var report = {transaction_id: transaction._id, state: transaction.state, direction: direction, success: false, items: []};
+    // Set the state of this transaction until it is complete
+    // so that if this repair is interrupted, the next one goes the same way
+    var repairState = (direction === 'forward') ? 'complete' : 'rollback';
+    // This is an atomic claim on the transaction -- it only succeeds if no other server holds a lease on it
+    // and it hasn't changed state since it was read, so two servers can never repair the same transaction
+    var claimSelector = _.extend({_id: transaction._id, state: transaction.state}, tx._leaseExpiredSelector());
+    if (!Transactions.update(claimSelector, {$set: _.extend({state: repairState}, tx._lease())})) {
+      tx.log('Unable to ' + mode + ' transaction, as another server has claimed it or it has changed state');
+      report.error = 'not-claimed';
+      return report;    
     }
-    var items = (mode === 'rollback') ? transaction.items.reverse() : transaction.items;
     var failed = false;
-    var targetState = (mode === 'rollback') ? 'undone' : 'done';
+    var targetState = (direction === 'forward') ? 'done' : 'undone';
     // From a security standpoint, it would be nice to put
     // var failed = tx._checkTransactionFields(items, transaction._id);
     // but we can't guarantee that the user-defined permission checks
@@ -47,124 +258,71 @@ Meteor.startup(function() {
     // which, of course, won't be defined when called from this context.
     // We are trusting that this package has not let anything into the `transactions`
     // collection that shouldn't be there.
-    _.each(transaction.items, function (item, index) {
-      // Note, at this stage we are only supporting repair of incomplete commits
-      // TODO -- this could be extended to include incomplete undos or redos
-      if (!((mode === 'complete' && item.state === 'pending')
-         || (mode === 'rollback' && item.state === 'done'))) {
-        // Either we don't deal with this state
-        // Or the action we wanted to do is already done
-        tx.log('Skipped "' + mode + ' ' + item.action + '" as it is ' + item.state + ':', item);
+    _.each(tx._repairOrder(transaction, direction), function (index) {
+      var item = transaction.items[index];
+      var itemReport = {index: index, action: item.action, collection: item.collection, _id: item._id};
+      report.items.push(itemReport);
+      if (!tx._needsRepair(item, direction)) {
+        tx.log('Skipped "' + direction + ' ' + item.action + '" as it is ' + item.state + ':', item);
+        itemReport.result = 'skipped';
         return;  
       }
-      Collection = tx.collectionIndex[item.collection];
+      var itemFailed;
       try {
-        switch (item.action) {
-          case 'insert' :
-            switch (mode) {
-              case 'complete' :
-                if (!Collection.insert(item.newDoc)) {
-                  failed = true;    
-                }
-                break;
-              case 'rollback' :
-                if (!Collection.remove({_id: item._id})) {
-                  failed = true;    
-                }
-                break;    
-            }
-          case 'remove' :
-            switch (mode) {
-              case 'complete' :
-                if (item.hardDelete) {
-                  // We are storing the document as it was then, not as it is now
-                  // to preserve some consistency in case of later updates
-                  if (!Collection.remove({_id: item._id})) {
-                     failed = true;  
-                  }
-                }
-                else {
-                  if (!Collection.update({_id: item._id},{$set:{deleted:ServerTime.date(),transaction_id:transaction._id}})) {
-                    failed = true;  
-                  }
-                }
-                break;
-              case 'rollback' :
-                if (item.hardDelete) {
-                  if (!Collection.insert(item.doc)) {
-                    failed = true;  
-                  }
-                }
-                else {
-                  /*if (!Collection.update({_id: item._id}, {$unset: {deleted: 1, transaction_id: 1}})) {
-                    failed = true;  
-                  }*/
-                  // Can't do above as those fields might already be unset, resulting in a 0 being returned
-                  // Should just use callbacks with error checks
-                  Collection.update({_id: item._id}, {$unset: {deleted: 1, transaction_id: 1}});
-                }
-                break;    
-            }
-          case 'update' :  
-            switch (mode) {
-              case 'complete' : 
-                if (typeof item.update !== 'undefined' && item.update.command && item.update.data) {
-                  var operation = {};
-                  operation[item.update.command] = tx._unpackageForUpdate(item.update.data);
-                  /*if (!Collection.update({_id: item._id}, operation)) {
-                    failed = true;  
-                  }*/
-                  Collection.update({_id: item._id}, operation);
-                }
-                break;
-              case 'rollback' :
-                if (typeof item.inverse !== 'undefined' && item.inverse.command && item.inverse.data) {
-                  var operation = {};
-                  operation[item.inverse.command] = tx._unpackageForUpdate(item.inverse.data);
-                  /*if (!Collection.update({_id: item._id}, operation)) {
-                    failed = true;  
-                  }*/
-                  Collection.update({_id: item._id}, operation);
-                }
-                break;   
-            }
-        }
+        itemFailed = tx._repairItem(item, transaction, direction);
       }
       catch (err) {
         tx.log(err);
-        failed = true;  
+        itemReport.error = err.message;
+        itemFailed = true;  
+      }
+      if (itemFailed) {
+        itemReport.result = 'failed';
+        failed = true;
       }
-      if (!failed) {
+      else {
         // Need to change the state of this particular action
-        var modifier = {};
-        // Array is reversed for a rollback, so index needs to be calculated from other end of array
-        var trueIndex = (mode === 'rollback') ? (items.length - 1) - index : index;
-        modifier["items." + trueIndex + ".state"] = targetState; 
-        Transactions.update({_id: transaction._id}, {$set: modifier});
+        tx._changeItemState({txid: transaction._id, index: index, state: targetState});
+        itemReport.result = 'repaired';
       }
     });
     // Record this whole transaction as completed
     if (!failed) {
       var modifier = {};
-      if (mode === 'rollback') {
+      if (direction === 'backward') {
         modifier["$set"] = {state: "undone", undone: ServerTime.date()};
+        modifier["$unset"] = {owner: 1, leaseExpires: 1};
       }
       else {
-        modifier["$unset"] = {undone: 1};
+        modifier["$unset"] = {undone: 1, owner: 1, leaseExpires: 1};
         modifier["$set"] = {state: "done"};
       }
       Transactions.update({_id: transaction._id}, modifier);
+      tx._runAfterHooks(transaction._id, _.map(tx._repairOrder(transaction, direction), function (index) { return transaction.items[index]; }), direction, 'repair');
       tx.log('Transaction repaired by ' + mode + ':', Transactions.findOne({_id: transaction._id}));
     }
     else {
       tx.log('Could not ' + mode + ' transaction:', Transactions.findOne({_id: transaction._id}));
     }
+    report.success = !failed;
+    tx._fireEvent('repair', Transactions.findOne({_id: transaction._id}), report);
+    return report;
   }
 
   Meteor.defer(function() {
       
     // Give time for everything else to be set up by the transactions-common.js script
     tx._repairAllIncomplete(tx.selfRepairMode);
+    if (_.contains(['complete', 'rollback'], tx.selfRepairMode)) {
+      // Transactions still leased by a server that has gone down are repaired once their leases run out
+      tx._scheduleLeasedRepair(tx.selfRepairMode);
+    }
+    
+    if (tx.recoveryInterval) {
+      Meteor.setInterval(function () {
+        tx._sweepIncomplete();
+      }, tx.recoveryInterval);
+    }
 
   });
 
@@ -10,7 +10,7 @@ Package.onUse(function (api, where) {
   api.versionsFrom("1.0");
 
   // Meteor core
-  api.use(['underscore','mongo','accounts-base','random']);
+  api.use(['underscore','mongo','accounts-base','random','ddp','ejson','minimongo','tracker']);
   api.imply('mongo');
   
   // Third party
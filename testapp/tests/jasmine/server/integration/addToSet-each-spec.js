@@ -313,6 +313,144 @@ describe('updates with $addToSet', function () {
    })
 
 });
+
+/**
+ * Tests for support of Mongo collection updates with $push and its modifiers
+ */
+
+describe('updates with $push', function () {
+  var originalFoo = [{bar: 1}, {bar: 2}, {bar: 3}], insertedFooDoc;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    tx.start('insert foo');
+    fooCollection.insert(
+      {foo: originalFoo}, {tx: true});
+    tx.commit();
+
+    insertedFooDoc = fooCollection.findOne({foo: {$exists: true}});
+    expect(insertedFooDoc.transaction_id).toBeDefined();
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('can be updated with $push modifier with an inverse that restores the original array', function () {
+    // EXECUTE
+    tx.start('update foo');
+    fooCollection.update(
+      {_id: insertedFooDoc._id},
+      {
+        $push: {
+          foo: {bar: 1}
+        }
+      },
+      {tx: true});
+    tx.commit();
+
+    // VERIFY
+    var recoveredFoo = fooCollection.findOne({_id: insertedFooDoc._id});
+    expect(recoveredFoo.foo).toEqual([{bar: 1}, {bar: 2}, {bar: 3}, {bar: 1}]);
+    var txDoc = tx.Transactions.findOne({_id: recoveredFoo.transaction_id});
+    expect(txDoc.items[0].inverse).toEqual(
+      { command: '$set', data: [ { key: 'foo', value: { json: '[{"bar":1},{"bar":2},{"bar":3}]' } } ] }
+      );
+  });
+
+  it ('can be updated with $push modifier with a duplicate value then undone and redone', function () {
+    // SETUP
+    tx.start('update foo');
+    fooCollection.update(
+      {_id: insertedFooDoc._id},
+      {
+        $push: {
+          foo: {bar: 1}
+        }
+      },
+      {tx: true});
+    tx.commit();
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: insertedFooDoc._id}).foo).toEqual(originalFoo);
+
+    // EXECUTE
+    tx.redo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: insertedFooDoc._id}).foo).toEqual([{bar: 1}, {bar: 2}, {bar: 3}, {bar: 1}]);
+  });
+
+  it ('can be updated with $push modifier using $each and $position then undone and redone', function () {
+    // SETUP
+    tx.start('update foo');
+    fooCollection.update(
+      {_id: insertedFooDoc._id},
+      {
+        $push: {
+          foo: {$each: [{bar: 4}, {bar: 5}], $position: 1}
+        }
+      },
+      {tx: true});
+    tx.commit();
+    expect(fooCollection.findOne({_id: insertedFooDoc._id}).foo).toEqual([{bar: 1}, {bar: 4}, {bar: 5}, {bar: 2}, {bar: 3}]);
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: insertedFooDoc._id}).foo).toEqual(originalFoo);
+
+    // EXECUTE
+    tx.redo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: insertedFooDoc._id}).foo).toEqual([{bar: 1}, {bar: 4}, {bar: 5}, {bar: 2}, {bar: 3}]);
+  });
+
+  it ('can be updated with $push modifier using $each, $sort and $slice then undone', function () {
+    // SETUP
+    tx.start('update foo');
+    fooCollection.update(
+      {_id: insertedFooDoc._id},
+      {
+        $push: {
+          foo: {$each: [{bar: 0}], $sort: {bar: 1}, $slice: 2}
+        }
+      },
+      {tx: true});
+    tx.commit();
+    expect(fooCollection.findOne({_id: insertedFooDoc._id}).foo).toEqual([{bar: 0}, {bar: 1}]);
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: insertedFooDoc._id}).foo).toEqual(originalFoo);
+  });
+
+  it ('can be updated with several $push modifiers on the same array in one transaction then undone', function () {
+    // SETUP
+    tx.start('update foo twice');
+    fooCollection.update({_id: insertedFooDoc._id}, {$push: {foo: {bar: 4}}}, {tx: true});
+    fooCollection.update({_id: insertedFooDoc._id}, {$push: {foo: {$each: [{bar: 5}], $slice: -3}}}, {tx: true});
+    tx.commit();
+    expect(fooCollection.findOne({_id: insertedFooDoc._id}).foo).toEqual([{bar: 3}, {bar: 4}, {bar: 5}]);
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: insertedFooDoc._id}).foo).toEqual(originalFoo);
+  });
+
+});
    
 
 function bruteForceAddToSetInverse (collection, existingDoc, updateMap, opt) {
@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Tests for undoing and redoing other users' transactions
+ */
+
+describe('acting on another user\'s transaction', function () {
+  var fooDocId, transaction_id, originalIsAdmin = tx.isAdmin;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 0});
+    tx.start('update foo');
+    fooCollection.update({_id: fooDocId}, {$set: {a: 1}}, {tx: true});
+    tx.commit();
+    transaction_id = fooCollection.findOne({_id: fooDocId}).transaction_id;
+
+    Meteor.userId.and.returnValue('anotherUserId');
+  });
+
+  afterEach(function () {
+    tx.isAdmin = originalIsAdmin;
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('should not let a user undo someone else\'s transaction by its txid', function () {
+    var error, success;
+
+    // EXECUTE
+    tx.undo(transaction_id, function (err, res) {
+      error = err;
+      success = res;
+    });
+
+    // VERIFY
+    expect(error.error).toEqual('permission-denied');
+    expect(success).toBe(false);
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+  });
+
+  it ('should use tx.canActOnTransaction to decide', function () {
+    spyOn(tx, 'canActOnTransaction').and.returnValue(true);
+
+    // EXECUTE
+    tx.undo(transaction_id);
+
+    // VERIFY
+    expect(tx.canActOnTransaction).toHaveBeenCalledWith('anotherUserId', jasmine.any(Object), 'undo');
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+  });
+
+  it ('should use tx.canActOnTransaction for multi-step undos too', function () {
+    var errors = [];
+    Meteor.userId.and.returnValue('or6YSgs6nT8Bs5o6p');
+    spyOn(tx, 'canActOnTransaction').and.returnValue(false);
+
+    // EXECUTE
+    tx.undo({steps: 1}, function (err) {
+      errors.push(err);
+    });
+    tx.undoUntil(transaction_id, function (err) {
+      errors.push(err);
+    });
+
+    // VERIFY
+    expect(tx.canActOnTransaction).toHaveBeenCalledWith('or6YSgs6nT8Bs5o6p', jasmine.any(Object), 'undo');
+    expect(errors[0].error).toEqual('permission-denied');
+    expect(errors[1].error).toEqual('permission-denied');
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+  });
+
+  it ('should not let a user who isn\'t an admin use tx.adminUndo', function () {
+    var error;
+
+    // EXECUTE
+    tx.adminUndo(transaction_id, function (err) {
+      error = err;
+    });
+
+    // VERIFY
+    expect(error.error).toEqual('permission-denied');
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+  });
+
+  it ('should let an admin undo and redo any transaction, recording who did it', function () {
+    tx.isAdmin = function (userId) { return userId === 'anotherUserId'; };
+
+    // EXECUTE
+    tx.adminUndo(transaction_id);
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+    expect(tx.Transactions.findOne({_id: transaction_id}).undoneBy).toEqual('anotherUserId');
+
+    // EXECUTE
+    tx.adminRedo(transaction_id);
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+    expect(tx.Transactions.findOne({_id: transaction_id}).redoneBy).toEqual('anotherUserId');
+  });
+
+});
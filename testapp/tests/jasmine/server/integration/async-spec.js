@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Tests for the promise-returning versions of commit, undo and redo
+ */
+
+describe('promise-returning commit, undo and redo', function () {
+  var Future = Npm.require('fibers/future');
+  // Node 0.10 (which Meteor 1.1 runs on) has no Promise
+  var itWithPromise = (typeof Promise === 'undefined') ? xit : it;
+
+  // Waits for a promise to settle and returns {result: ..., error: ...}
+  var settle = function (promise) {
+    var future = new Future();
+    promise.then(function (result) {
+      future.return({result: result});
+    }, function (error) {
+      future.return({error: error});
+    });
+    return future.wait();
+  };
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  itWithPromise ('commitAsync should resolve to a structured result', function () {
+    // EXECUTE
+    var txid = tx.start('insert foo');
+    fooCollection.insert({foo: "Inserted"}, {tx: true});
+    var outcome = settle(tx.commitAsync());
+
+    // VERIFY
+    expect(outcome.error).toBeUndefined();
+    expect(outcome.result.transactionId).toEqual(txid);
+    expect(outcome.result.writes.length).toBe(1);
+    expect(outcome.result.newIds.fooCollection[0]).toEqual(fooCollection.findOne({foo: "Inserted"})._id);
+  });
+
+  itWithPromise ('commitAsync should reject a cancelled transaction', function () {
+    // EXECUTE
+    tx.start('insert foo');
+    fooCollection.insert({foo: "Inserted"}, {tx: true});
+    tx.cancel();
+    var outcome = settle(tx.commitAsync());
+
+    // VERIFY
+    expect(outcome.result).toBeUndefined();
+    expect(outcome.error.error).toEqual('transaction-cancelled');
+    expect(fooCollection.findOne({foo: "Inserted"})).toBeUndefined();
+  });
+
+  itWithPromise ('commitAsync should resolve an empty transaction to an empty result and close it', function () {
+    // EXECUTE
+    tx.start('insert foo');
+    var outcome = settle(tx.commitAsync());
+
+    // VERIFY
+    expect(outcome.error).toBeUndefined();
+    expect(outcome.result).toEqual({transactionId: null, writes: [], newIds: {}});
+    expect(tx.transactionStarted()).toBe(false);
+    expect(tx.Transactions.find().count()).toEqual(0);
+  });
+
+  it ('should throw a clear error when there is no Promise to return', function () {
+    var GlobalPromise = global.Promise;
+    global.Promise = undefined;
+    var error;
+
+    // EXECUTE
+    tx.start('insert foo');
+    try {
+      tx.commitAsync();
+    }
+    catch (err) {
+      error = err;
+    }
+    global.Promise = GlobalPromise;
+    tx.rollback();
+
+    // VERIFY
+    expect(error.error).toEqual('promise-not-supported');
+  });
+
+  itWithPromise ('undoAsync and redoAsync should resolve to structured results', function () {
+    // SETUP
+    var txid = tx.start('insert foo');
+    fooCollection.insert({foo: "Inserted"}, {tx: true});
+    tx.commit();
+
+    // EXECUTE
+    var undoOutcome = settle(tx.undoAsync());
+
+    // VERIFY
+    expect(undoOutcome.result.transactionId).toEqual(txid);
+    expect(fooCollection.findOne({foo: "Inserted"})).toBeUndefined();
+
+    // EXECUTE
+    var redoOutcome = settle(tx.redoAsync(txid));
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({foo: "Inserted"});
+    expect(redoOutcome.result.transactionId).toEqual(txid);
+    expect(redoOutcome.result.newIds.fooCollection[0]).toEqual(fooDoc._id);
+  });
+
+});
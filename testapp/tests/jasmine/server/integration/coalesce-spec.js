@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Tests for merging rapid consecutive transactions with the same coalesceKey into one undo step
+ */
+
+describe('coalescing transactions', function () {
+  var fooDocId;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({title: "", other: "unchanged"});
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  // Saves the title in its own transaction, as an editor would on every keystroke
+  var saveTitle = function (title, options) {
+    var transaction_id;
+    tx.start('edit title', _.extend({coalesceKey: 'title:' + fooDocId}, options));
+    fooCollection.update({_id: fooDocId}, {$set: {title: title}}, {tx: true});
+    tx.commit(function (err, res) {
+      transaction_id = this.transaction_id;
+    });
+    return transaction_id;
+  };
+
+  it ('should merge consecutive transactions with the same key into one', function () {
+    // EXECUTE
+    var firstId = saveTitle("H");
+    var secondId = saveTitle("He");
+    var thirdId = saveTitle("Hey");
+
+    // VERIFY
+    expect(secondId).toEqual(firstId);
+    expect(thirdId).toEqual(firstId);
+    expect(tx.Transactions.find().count()).toEqual(1);
+    var txDoc = tx.Transactions.findOne();
+    expect(txDoc.items.length).toEqual(1);
+    expect(fooCollection.findOne({_id: fooDocId}).transaction_id).toEqual(firstId);
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).title).toEqual("");
+
+    // EXECUTE
+    tx.redo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).title).toEqual("Hey");
+  });
+
+  it ('should keep the earliest inverse for a field the first transaction didn\'t touch', function () {
+    saveTitle("H");
+    tx.start('edit title', {coalesceKey: 'title:' + fooDocId});
+    fooCollection.update({_id: fooDocId}, {$set: {title: "He", subtitle: "new"}}, {tx: true});
+    tx.commit();
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({_id: fooDocId});
+    expect(fooDoc.title).toEqual("");
+    expect(fooDoc.subtitle).toBeUndefined();
+  });
+
+  it ('should not merge transactions with different keys', function () {
+    saveTitle("H");
+    tx.start('edit other', {coalesceKey: 'other:' + fooDocId});
+    fooCollection.update({_id: fooDocId}, {$set: {other: "changed"}}, {tx: true});
+    tx.commit();
+
+    // VERIFY
+    expect(tx.Transactions.find().count()).toEqual(2);
+  });
+
+  it ('should not merge transactions outside the window', function () {
+    var firstId = saveTitle("H");
+    tx.Transactions.update({_id: firstId}, {$set: {lastModified: new Date(new Date().getTime() - 5000)}});
+
+    // EXECUTE
+    var secondId = saveTitle("He");
+
+    // VERIFY
+    expect(secondId).not.toEqual(firstId);
+    expect(tx.Transactions.find().count()).toEqual(2);
+  });
+
+  it ('should not merge into a transaction that has been undone', function () {
+    saveTitle("H");
+    tx.undo();
+
+    // EXECUTE
+    saveTitle("J");
+
+    // VERIFY
+    expect(tx.Transactions.find().count()).toEqual(2);
+  });
+
+});
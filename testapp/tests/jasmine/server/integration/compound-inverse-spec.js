@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Tests that updates touching both existing and new fields,
+ * or using several operators at once, are undone exactly
+ */
+
+describe('updates with compound inverses', function () {
+  var fooDocId, initialState = {foo: "Initial state", count: 1, list: [1, 2]};
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert(_.clone(initialState));
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('should store a $set and an $unset in the inverse of a $set of an existing and a new field', function () {
+    // EXECUTE
+    tx.start('update foo');
+    fooCollection.update({_id: fooDocId}, {$set: {foo: "Final state", bar: "New field"}}, {tx: true});
+    tx.commit();
+
+    // VERIFY
+    var txDoc = tx.Transactions.findOne({_id: fooCollection.findOne({_id: fooDocId}).transaction_id});
+    expect(txDoc.items[0].inverse).toEqual([
+      { command: '$set', data: [ { key: 'foo', value: "Initial state" } ] },
+      { command: '$unset', data: [ { key: 'bar', value: "" } ] }
+    ]);
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(_.omit(fooCollection.findOne({_id: fooDocId}), '_id', 'transaction_id')).toEqual(initialState);
+
+    // EXECUTE
+    tx.redo();
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({_id: fooDocId});
+    expect(fooDoc.foo).toEqual("Final state");
+    expect(fooDoc.bar).toEqual("New field");
+  });
+
+  it ('should restore every touched path after an update with several operators', function () {
+    // EXECUTE
+    tx.start('update foo');
+    fooCollection.update(
+      {_id: fooDocId},
+      {
+        $set: {foo: "Final state", "nested.field": true},
+        $unset: {count: ""},
+        $push: {list: 3},
+        $inc: {newCount: 2}
+      },
+      {tx: true});
+    tx.commit();
+    tx.undo();
+
+    // VERIFY
+    expect(_.omit(fooCollection.findOne({_id: fooDocId}), '_id', 'transaction_id')).toEqual(initialState);
+  });
+
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Tests that an undo only expires when a later transaction changed the same fields
+ */
+
+describe('undo after a later transaction on the same document', function () {
+  var fooDocId, transaction_id;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 1, b: 1, nested: {x: 1, y: 1}});
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  // Makes the update in its own transaction and returns the transaction's id
+  var updateFoo = function (modifier) {
+    tx.start('update foo');
+    fooCollection.update({_id: fooDocId}, modifier, {tx: true});
+    tx.commit();
+    return fooCollection.findOne({_id: fooDocId}).transaction_id;
+  };
+
+  it ('should undo if the later transaction changed other fields', function () {
+    // SETUP
+    transaction_id = updateFoo({$set: {a: 2}});
+    updateFoo({$set: {b: 2}});
+
+    // EXECUTE
+    tx.undo(transaction_id);
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({_id: fooDocId});
+    expect(fooDoc.a).toEqual(1);
+    expect(fooDoc.b).toEqual(2);
+    expect(tx.Transactions.findOne({_id: transaction_id}).state).toEqual('undone');
+  });
+
+  it ('should undo if the later transaction changed a sibling of a nested field', function () {
+    // SETUP
+    transaction_id = updateFoo({$set: {'nested.x': 2}});
+    updateFoo({$set: {'nested.y': 2}});
+
+    // EXECUTE
+    tx.undo(transaction_id);
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).nested).toEqual({x: 1, y: 2});
+  });
+
+  it ('should expire if the later transaction changed the same field', function () {
+    // SETUP
+    transaction_id = updateFoo({$set: {a: 2}});
+    updateFoo({$set: {a: 3}});
+
+    // EXECUTE
+    tx.undo(transaction_id);
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(3);
+    expect(tx.Transactions.findOne({_id: transaction_id}).expired).toBe(true);
+  });
+
+  it ('should expire if the later transaction changed a parent of the field', function () {
+    // SETUP
+    transaction_id = updateFoo({$set: {'nested.x': 2}});
+    updateFoo({$set: {nested: {z: 1}}});
+
+    // EXECUTE
+    tx.undo(transaction_id);
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).nested).toEqual({z: 1});
+    expect(tx.Transactions.findOne({_id: transaction_id}).expired).toBe(true);
+  });
+
+  it ('should not count later transactions that have been undone', function () {
+    // SETUP
+    transaction_id = updateFoo({$set: {a: 2}});
+    updateFoo({$set: {a: 3}});
+    tx.undo();
+
+    // EXECUTE
+    tx.undo(transaction_id);
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+  });
+
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Tests that EJSON types in nested values survive undo and redo
+ */
+
+describe('undo and redo of nested values containing EJSON types', function () {
+  var fooDocId;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  // Sets `field` from `before` to `after` in a transaction, then checks undo and redo give back values of the same type
+  var undoAndRedo = function (before, after) {
+    fooDocId = fooCollection.insert({field: before});
+
+    tx.start('update foo');
+    fooCollection.update({_id: fooDocId}, {$set: {field: after}}, {tx: true});
+    tx.commit();
+    expect(EJSON.equals(fooCollection.findOne({_id: fooDocId}).field, after)).toBe(true);
+
+    tx.undo();
+    expect(EJSON.equals(fooCollection.findOne({_id: fooDocId}).field, before)).toBe(true);
+
+    tx.redo();
+    expect(EJSON.equals(fooCollection.findOne({_id: fooDocId}).field, after)).toBe(true);
+  };
+
+  it ('should restore dates as dates', function () {
+    undoAndRedo({created: new Date(2015, 0, 1)}, {created: new Date(2015, 6, 1)});
+    expect(fooCollection.findOne({_id: fooDocId}).field.created instanceof Date).toBe(true);
+  });
+
+  it ('should restore ObjectIDs as ObjectIDs', function () {
+    undoAndRedo({ref: new Mongo.ObjectID()}, {ref: new Mongo.ObjectID()});
+    expect(fooCollection.findOne({_id: fooDocId}).field.ref instanceof Mongo.ObjectID).toBe(true);
+  });
+
+  it ('should restore binary data as binary data', function () {
+    var before = EJSON.newBinary(2), after = EJSON.newBinary(2);
+    before[0] = 1; before[1] = 2;
+    after[0] = 3; after[1] = 4;
+    undoAndRedo({data: before}, {data: after});
+    expect(EJSON.isBinary(fooCollection.findOne({_id: fooDocId}).field.data)).toBe(true);
+  });
+
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Tests for the handlers registered with tx.on
+ */
+
+describe('lifecycle events', function () {
+  var fooDocId, handler;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 0});
+    handler = jasmine.createSpy('handler');
+  });
+
+  afterEach(function () {
+    _.each(['commit', 'rollback', 'undo', 'redo', 'expire', 'repair'], function (event) {
+      tx.off(event, handler);
+    });
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  // Makes the update in its own transaction
+  var updateFoo = function (modifier) {
+    tx.start('update foo');
+    fooCollection.update({_id: fooDocId}, modifier, {tx: true});
+    tx.commit();
+    return fooCollection.findOne({_id: fooDocId}).transaction_id;
+  };
+
+  it ('should fire "commit" with the transaction document', function () {
+    tx.on('commit', handler);
+
+    // EXECUTE
+    var transaction_id = updateFoo({$set: {a: 1}});
+
+    // VERIFY
+    expect(handler.calls.count()).toEqual(1);
+    var args = handler.calls.mostRecent().args;
+    expect(args[0]._id).toEqual(transaction_id);
+    expect(args[0].state).toEqual('done');
+    expect(args[0].items.length).toEqual(1);
+    expect(args[1].success).toBe(true);
+  });
+
+  it ('should fire "rollback"', function () {
+    tx.on('rollback', handler);
+
+    // EXECUTE
+    tx.start('update foo');
+    fooCollection.update({_id: fooDocId}, {$set: {a: 1}}, {tx: true});
+    tx.rollback();
+
+    // VERIFY
+    expect(handler.calls.count()).toEqual(1);
+    expect(handler.calls.mostRecent().args[0].description).toEqual('update foo');
+  });
+
+  it ('should fire "rollback" once, with the real transaction, when a commit from the client fails', function () {
+    var txid = Random.id();
+    tx.on('rollback', handler);
+    var items = [{
+      collection: 'fooCollection',
+      _id: 'noSuchDoc',
+      action: 'update',
+      state: 'pending',
+      update: {command: '$set', data: [{key: 'a', value: 1}]},
+      inverse: {command: '$set', data: [{key: 'a', value: 0}]}
+    }];
+
+    // EXECUTE
+    Meteor.server.method_handlers._meteorTransactionsProcess.call({connection: {id: 'clientConnection'}, userId: Meteor.userId()}, txid, 'update foo', items, {}, null, null);
+
+    // VERIFY
+    expect(handler.calls.count()).toEqual(1);
+    expect(handler.calls.mostRecent().args[0]._id).toEqual(txid);
+    expect(handler.calls.mostRecent().args[1].success).toBe(false);
+  });
+
+  it ('should not fire "rollback" when no transaction is open', function () {
+    tx.on('rollback', handler);
+
+    // EXECUTE
+    tx.rollback();
+
+    // VERIFY
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it ('should fire "undo" and "redo"', function () {
+    var transaction_id = updateFoo({$set: {a: 1}});
+    tx.on('undo', handler);
+    tx.on('redo', handler);
+
+    // EXECUTE
+    tx.undo();
+    tx.redo();
+
+    // VERIFY
+    expect(handler.calls.count()).toEqual(2);
+    expect(handler.calls.argsFor(0)[0]._id).toEqual(transaction_id);
+    expect(handler.calls.argsFor(0)[0].state).toEqual('undone');
+    expect(handler.calls.argsFor(1)[0].state).toEqual('done');
+  });
+
+  it ('should fire "expire" when an undo can\'t be done', function () {
+    var transaction_id = updateFoo({$set: {a: 1}});
+    Meteor.userId.and.returnValue('anotherUserId');
+    updateFoo({$set: {a: 2}});
+    Meteor.userId.and.returnValue('or6YSgs6nT8Bs5o6p');
+    tx.on('expire', handler);
+
+    // EXECUTE
+    tx.undo(transaction_id);
+
+    // VERIFY
+    expect(handler.calls.count()).toEqual(1);
+    expect(handler.calls.mostRecent().args[0]._id).toEqual(transaction_id);
+    expect(handler.calls.mostRecent().args[1]).toEqual({action: 'undo'});
+  });
+
+  it ('should fire "repair" with the repair report', function () {
+    var transaction_id = updateFoo({$set: {a: 1}});
+    tx.Transactions.update({_id: transaction_id}, {$set: {state: "pending", "items.0.state": "pending"}});
+    tx.on('repair', handler);
+
+    // EXECUTE
+    tx._repairAllIncomplete('complete');
+
+    // VERIFY
+    expect(handler.calls.count()).toEqual(1);
+    expect(handler.calls.mostRecent().args[1].success).toBe(true);
+  });
+
+  it ('should not let a handler that throws affect the transaction', function () {
+    tx.on('commit', function () { throw new Error('Handler error'); });
+    tx.on('commit', handler);
+
+    // EXECUTE
+    updateFoo({$set: {a: 1}});
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+    expect(handler).toHaveBeenCalled();
+    tx._eventHandlers.commit = [];
+  });
+
+  it ('should throw for an unknown event', function () {
+    expect(function () { tx.on('save', handler); }).toThrow();
+  });
+
+});
@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * Tests for the hooks registered with tx.before and tx.after
+ */
+
+describe('before and after hooks', function () {
+  var fooDocId;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 0});
+  });
+
+  afterEach(function () {
+    tx._hooks = {before: {}, after: {}};
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  // Makes the update in its own transaction
+  var updateFoo = function (modifier, callback) {
+    tx.start('update foo');
+    fooCollection.update({_id: fooDocId}, modifier, {tx: true});
+    tx.commit(callback);
+    return fooCollection.findOne({_id: fooDocId}).transaction_id;
+  };
+
+  it ('should let a before hook change the modifier of an update', function () {
+    tx.before(fooCollection, {update: function (userId, doc, modifier) {
+      modifier.$set = _.extend(modifier.$set || {}, {updatedBy: userId});
+    }});
+
+    // EXECUTE
+    updateFoo({$set: {a: 1}});
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({_id: fooDocId});
+    expect(fooDoc.a).toEqual(1);
+    expect(fooDoc.updatedBy).toEqual('or6YSgs6nT8Bs5o6p');
+
+    // The stamp is undone along with the update it was added to
+    tx.undo();
+    expect(fooCollection.findOne({_id: fooDocId}).updatedBy).toBeUndefined();
+  });
+
+  it ('should let a before hook change the document being inserted', function () {
+    tx.before('fooCollection', {insert: function (userId, doc) {
+      doc.createdBy = userId;
+    }});
+
+    // EXECUTE
+    tx.start('insert foo');
+    fooCollection.insert({a: 5}, {tx: true});
+    tx.commit();
+
+    // VERIFY
+    expect(fooCollection.findOne({a: 5}).createdBy).toEqual('or6YSgs6nT8Bs5o6p');
+  });
+
+  it ('should roll back the transaction with the reason a before hook vetoed an action with', function () {
+    var error;
+    tx.before(fooCollection, {update: function (userId, doc, modifier) {
+      if (modifier.$set && modifier.$set.a > 10) {
+        this.veto('a must not exceed 10');
+      }
+    }});
+
+    // EXECUTE
+    tx.start('update foo');
+    fooCollection.insert({b: 1}, {tx: true});
+    fooCollection.update({_id: fooDocId}, {$set: {a: 11}}, {tx: true});
+    tx.commit(function (err) {
+      error = err;
+    });
+
+    // VERIFY
+    expect(error.error).toEqual('action-vetoed');
+    expect(error.reason).toEqual('a must not exceed 10');
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+    expect(fooCollection.findOne({b: 1})).toBeUndefined();
+  });
+
+  it ('should report a veto of the only action in a transaction', function () {
+    var error;
+    tx.before(fooCollection, {remove: function () {
+      return false;
+    }});
+
+    // EXECUTE
+    tx.start('remove foo');
+    fooCollection.remove({_id: fooDocId}, {tx: true});
+    tx.commit(function (err) {
+      error = err;
+    });
+
+    // VERIFY
+    expect(error.error).toEqual('action-vetoed');
+    expect(fooCollection.findOne({_id: fooDocId})).toBeDefined();
+    expect(tx.transactionStarted()).toBe(false);
+  });
+
+  it ('should report a veto of a write that would have started its own transaction and not block later writes', function () {
+    var error;
+    tx.before(fooCollection, {insert: function (userId, doc) {
+      if (doc.a > 10) {
+        this.veto('a must not exceed 10');
+      }
+    }});
+
+    // EXECUTE
+    fooCollection.insert({a: 11}, {tx: true}, function (err) {
+      error = err;
+    });
+
+    // VERIFY
+    expect(error.error).toEqual('action-vetoed');
+    expect(error.reason).toEqual('a must not exceed 10');
+    expect(fooCollection.findOne({a: 11})).toBeUndefined();
+    expect(tx.transactionStarted()).toBe(false);
+    expect(tx._rollback).toBe(false);
+
+    // The next write and the next transaction go through
+    fooCollection.insert({a: 5}, {tx: true});
+    expect(fooCollection.findOne({a: 5})).toBeDefined();
+    error = undefined;
+    updateFoo({$set: {a: 1}}, function (err) {
+      error = err;
+    });
+    expect(error).toBeNull();
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+  });
+
+  it ('should run after hooks once the transaction is done', function () {
+    var afterUpdate = jasmine.createSpy('afterUpdate');
+    tx.after(fooCollection, {update: afterUpdate});
+
+    // EXECUTE
+    var transaction_id = updateFoo({$set: {a: 1}});
+
+    // VERIFY
+    expect(afterUpdate.calls.count()).toEqual(1);
+    var args = afterUpdate.calls.mostRecent().args;
+    expect(args[0]).toEqual('or6YSgs6nT8Bs5o6p');
+    expect(args[1].a).toEqual(1);
+    expect(args[2]).toEqual({$set: {a: 1}});
+    expect(afterUpdate.calls.mostRecent().object.transaction_id).toEqual(transaction_id);
+    expect(afterUpdate.calls.mostRecent().object.replay).toBeNull();
+  });
+
+  it ('should run hooks for undo and redo, with undoing an insert counting as a remove', function () {
+    var beforeRemove = jasmine.createSpy('beforeRemove');
+    var afterInsert = jasmine.createSpy('afterInsert');
+    tx.start('insert foo');
+    var newId = fooCollection.insert({a: 5}, {tx: true});
+    tx.commit();
+    tx.before(fooCollection, {remove: beforeRemove});
+    tx.after(fooCollection, {insert: afterInsert});
+
+    // EXECUTE
+    tx.undo();
+    tx.redo();
+
+    // VERIFY
+    expect(beforeRemove.calls.count()).toEqual(1);
+    expect(beforeRemove.calls.mostRecent().object.replay).toEqual('undo');
+    expect(beforeRemove.calls.mostRecent().args[1]._id).toEqual(newId);
+    expect(afterInsert.calls.count()).toEqual(1);
+    expect(afterInsert.calls.mostRecent().object.replay).toEqual('redo');
+  });
+
+  it ('should not undo a transaction when a before hook vetoes one of its writes', function () {
+    var error;
+    updateFoo({$set: {a: 1}});
+    tx.before(fooCollection, {update: function () {
+      this.veto('Locked');
+    }});
+
+    // EXECUTE
+    tx.undo(function (err) {
+      error = err;
+    });
+
+    // VERIFY
+    expect(error.error).toEqual('action-vetoed');
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+    expect(tx.Transactions.findOne().state).toEqual('done');
+  });
+
+  it ('should run hooks when a transaction is repaired', function () {
+    var transaction_id = updateFoo({$set: {a: 2}});
+    // Simulate a commit that hasn't written its item yet
+    tx.Transactions.update({_id: transaction_id}, {$set: {state: "pending", "items.0.state": "pending"}});
+    fooCollection.update({_id: fooDocId}, {$set: {a: 0}});
+    var afterUpdate = jasmine.createSpy('afterUpdate');
+    tx.before(fooCollection, {update: function (userId, doc, modifier) {
+      modifier.$set.repaired = true;
+    }});
+    tx.after(fooCollection, {update: afterUpdate});
+
+    // EXECUTE
+    tx._repairAllIncomplete('complete');
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({_id: fooDocId});
+    expect(fooDoc.a).toEqual(2);
+    expect(fooDoc.repaired).toBe(true);
+    expect(afterUpdate.calls.count()).toEqual(1);
+    expect(afterUpdate.calls.mostRecent().object.replay).toEqual('repair');
+  });
+
+});
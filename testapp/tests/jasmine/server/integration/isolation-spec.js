@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Tests that transactions opened in different fibers
+ * (e.g. concurrent method invocations) are kept apart
+ */
+
+describe('transactions in concurrent fibers', function () {
+  var Future = Npm.require('fibers/future');
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('should not share queued items', function () {
+    // SETUP
+    var outerTxid = tx.start('outer transaction');
+    fooCollection.insert({foo: "outer"}, {tx: true});
+
+    // EXECUTE
+    var future = new Future();
+    var innerTxid, innerItemCount;
+    Meteor.defer(function () {
+      try {
+        innerTxid = tx.start('inner transaction');
+        fooCollection.insert({foo: "inner"}, {tx: true});
+        innerItemCount = tx._items.length;
+        tx.commit();
+      }
+      finally {
+        future.return();
+      }
+    });
+    future.wait();
+
+    // VERIFY
+    expect(innerTxid).toBeTruthy();
+    expect(innerTxid).not.toEqual(outerTxid);
+    expect(innerItemCount).toBe(1);
+    expect(tx._transaction_id).toEqual(outerTxid);
+    expect(tx._items.length).toBe(1);
+
+    tx.commit();
+
+    expect(fooCollection.findOne({foo: "outer"}).transaction_id).toEqual(outerTxid);
+    expect(fooCollection.findOne({foo: "inner"}).transaction_id).toEqual(innerTxid);
+    expect(tx.Transactions.findOne({_id: outerTxid}).items.length).toBe(1);
+    expect(tx.Transactions.findOne({_id: innerTxid}).items.length).toBe(1);
+  });
+
+  // Stands in for the method invocation that a client's call runs in
+  var methodInvocation = function () {
+    return {connection: {id: 'clientConnection'}, userId: Meteor.userId(), isSimulation: false, randomSeed: Random.id(), setUserId: function () {}};
+  };
+
+  it ('should follow a method invocation into a fiber that continues its work', function () {
+    var txid, continuedTxid;
+
+    // EXECUTE
+    DDP._CurrentInvocation.withValue(methodInvocation(), function () {
+      txid = tx.start('update foo');
+      var future = new Future();
+      // Node's own setTimeout, so the continuation runs in a new fiber, as it would after a promise resolves
+      setTimeout(Meteor.bindEnvironment(function () {
+        continuedTxid = tx._transaction_id;
+        future.return();
+      }), 0);
+      future.wait();
+      tx.rollback();
+    });
+
+    // VERIFY
+    expect(continuedTxid).toEqual(txid);
+  });
+
+  it ('should not hand a transaction left open in one method invocation on to the next one run by the same fiber', function () {
+    var started;
+
+    // EXECUTE
+    DDP._CurrentInvocation.withValue(methodInvocation(), function () {
+      tx.start('left open');
+    });
+    DDP._CurrentInvocation.withValue(methodInvocation(), function () {
+      started = tx.transactionStarted();
+    });
+
+    // VERIFY
+    expect(started).toBe(false);
+  });
+
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Tests for {multi: true} updates and removes with a selector
+ */
+
+describe('actions on documents matching a selector', function () {
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooCollection.insert({post_id: "post1", text: "First comment"});
+    fooCollection.insert({post_id: "post1", text: "Second comment"});
+    fooCollection.insert({post_id: "post2", text: "Other comment"});
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('should update every matching document with {multi: true} then undo them as one unit', function () {
+    // EXECUTE
+    fooCollection.update({post_id: "post1"}, {$set: {archived: true}}, {tx: true, multi: true});
+
+    // VERIFY
+    expect(fooCollection.find({archived: true}).count()).toBe(2);
+    var txDoc = tx.Transactions.findOne();
+    expect(txDoc.items.length).toBe(2);
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.find({archived: {$exists: true}}).count()).toBe(0);
+
+    // EXECUTE
+    tx.redo();
+
+    // VERIFY
+    expect(fooCollection.find({archived: true}).count()).toBe(2);
+  });
+
+  it ('should only update the first matching document without {multi: true}', function () {
+    // EXECUTE
+    fooCollection.update({post_id: "post1"}, {$set: {archived: true}}, {tx: true});
+
+    // VERIFY
+    expect(fooCollection.find({archived: true}).count()).toBe(1);
+  });
+
+  it ('should remove every matching document then undo them as one unit', function () {
+    // EXECUTE
+    tx.start('remove comments');
+    fooCollection.remove({post_id: "post1"}, {tx: true});
+    tx.commit();
+
+    // VERIFY
+    expect(fooCollection.find({post_id: "post1"}).count()).toBe(0);
+    expect(fooCollection.find({post_id: "post2"}).count()).toBe(1);
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.find({post_id: "post1"}).count()).toBe(2);
+  });
+
+  it ('should not leave a transaction open when nothing matches the selector', function () {
+    // EXECUTE
+    fooCollection.update({post_id: "noSuchPost"}, {$set: {archived: true}}, {tx: true, multi: true});
+
+    // VERIFY
+    expect(tx.transactionStarted()).toBe(false);
+    expect(tx._autoTransaction).toBe(false);
+    expect(tx.Transactions.find().count()).toEqual(0);
+
+    // A later transaction isn't nested inside anything
+    var txid = tx.start('archive comments');
+    fooCollection.update({post_id: "post1"}, {$set: {archived: true}}, {tx: true, multi: true});
+    tx.commit();
+    expect(tx.Transactions.findOne({_id: txid}).items.length).toBe(2);
+  });
+
+  it ('should keep the other conditions of a selector that has an _id', function () {
+    var fooId = fooCollection.findOne({post_id: "post1"})._id;
+
+    // EXECUTE
+    fooCollection.update({_id: fooId, post_id: "post2"}, {$set: {archived: true}}, {tx: true});
+    fooCollection.remove({_id: fooId, post_id: "post2"}, {tx: true});
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooId}).archived).toBeUndefined();
+    expect(tx.Transactions.find().count()).toEqual(0);
+
+    // EXECUTE
+    fooCollection.update({_id: fooId, post_id: "post1"}, {$set: {archived: true}}, {tx: true});
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooId}).archived).toBe(true);
+  });
+
+});
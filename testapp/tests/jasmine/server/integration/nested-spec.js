@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Tests for nested transactions (savepoints) inside a tx.start() block
+ */
+
+describe('nested transactions', function () {
+  var fooDocId;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({foo: "Initial state"});
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('should merge the actions of a committed nested transaction into the enclosing one', function () {
+    // EXECUTE
+    var txid = tx.start('outer');
+    fooCollection.update({_id: fooDocId}, {$set: {foo: "Outer state"}}, {tx: true});
+    var savepointId = tx.start('inner');
+    fooCollection.update({_id: fooDocId}, {$set: {bar: "Inner state"}}, {tx: true});
+    tx.commit();
+    expect(tx._transaction_id).toEqual(txid);
+    tx.commit();
+
+    // VERIFY
+    expect(savepointId).toBeTruthy();
+    expect(savepointId).not.toEqual(txid);
+    var fooDoc = fooCollection.findOne({_id: fooDocId});
+    expect(fooDoc.foo).toEqual("Outer state");
+    expect(fooDoc.bar).toEqual("Inner state");
+    expect(tx.Transactions.findOne({_id: txid}).items.length).toBe(2);
+  });
+
+  it ('should only roll back the actions queued since the savepoint', function () {
+    // EXECUTE
+    var txid = tx.start('outer');
+    fooCollection.update({_id: fooDocId}, {$set: {foo: "Outer state"}}, {tx: true});
+    tx.start('inner');
+    fooCollection.update({_id: fooDocId}, {$set: {bar: "Inner state"}}, {tx: true, instant: true});
+    fooCollection.insert({foo: "Inner insert"}, {tx: true, instant: true});
+    expect(fooCollection.findOne({_id: fooDocId}).bar).toEqual("Inner state");
+    tx.rollback();
+    expect(tx._transaction_id).toEqual(txid);
+    expect(tx._items.length).toBe(1);
+    tx.commit();
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({_id: fooDocId});
+    expect(fooDoc.foo).toEqual("Outer state");
+    expect(fooDoc.bar).toBeUndefined();
+    expect(fooCollection.findOne({foo: "Inner insert"})).toBeUndefined();
+    expect(tx.Transactions.findOne({_id: txid}).items.length).toBe(1);
+  });
+
+  it ('should report an error when committing a nested transaction that something went wrong in', function () {
+    var innerError, outerError;
+
+    // EXECUTE
+    tx.start('outer');
+    fooCollection.update({_id: fooDocId}, {$set: {foo: "Outer state"}}, {tx: true});
+    tx.start('inner');
+    tx.cancel();
+    tx.commit(function (err) {
+      innerError = err;
+    });
+    tx.commit(function (err) {
+      outerError = err;
+    });
+
+    // VERIFY
+    expect(innerError.error).toEqual('transaction-cancelled');
+    expect(outerError.error).toEqual('transaction-cancelled');
+    expect(fooCollection.findOne({_id: fooDocId}).foo).toEqual("Initial state");
+  });
+
+});
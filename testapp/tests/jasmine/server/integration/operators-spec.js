@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * Tests for undo and redo of updates using $pop, $pullAll, $rename, $mul, $min, $max and $currentDate
+ */
+
+describe('updates with other mongo operators', function () {
+  var fooDocId, initialState = {
+    list: [1, 2, 3, 2],
+    count: 5,
+    name: "foo",
+    other: "taken"
+  };
+
+  // Performs an update in a transaction, checks it, undoes it, checks it, redoes it, checks it
+  var undoAndRedo = function (modifier, checkUpdated) {
+    tx.start('update foo');
+    fooCollection.update({_id: fooDocId}, modifier, {tx: true});
+    tx.commit();
+    checkUpdated(fooCollection.findOne({_id: fooDocId}));
+
+    tx.undo();
+    expect(_.omit(fooCollection.findOne({_id: fooDocId}), '_id', 'transaction_id')).toEqual(initialState);
+
+    tx.redo();
+    checkUpdated(fooCollection.findOne({_id: fooDocId}));
+  };
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert(_.clone(initialState));
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('can undo and redo $pop', function () {
+    undoAndRedo({$pop: {list: 1}}, function (doc) {
+      expect(doc.list).toEqual([1, 2, 3]);
+    });
+  });
+
+  it ('can undo and redo $pullAll', function () {
+    undoAndRedo({$pullAll: {list: [2, 3]}}, function (doc) {
+      expect(doc.list).toEqual([1]);
+    });
+  });
+
+  it ('can undo and redo $rename to a new field name', function () {
+    undoAndRedo({$rename: {name: "title"}}, function (doc) {
+      expect(doc.name).toBeUndefined();
+      expect(doc.title).toEqual("foo");
+    });
+    var txDoc = tx.Transactions.findOne({_id: fooCollection.findOne({_id: fooDocId}).transaction_id});
+    expect(txDoc.items[0].inverse).toEqual({command: '$rename', data: [{key: 'title', value: 'name'}]});
+  });
+
+  it ('can undo and redo $rename to an existing field name', function () {
+    undoAndRedo({$rename: {name: "other"}}, function (doc) {
+      expect(doc.name).toBeUndefined();
+      expect(doc.other).toEqual("foo");
+    });
+  });
+
+  it ('can undo and redo $mul', function () {
+    undoAndRedo({$mul: {count: 3}}, function (doc) {
+      expect(doc.count).toEqual(15);
+    });
+  });
+
+  it ('can undo and redo $min', function () {
+    undoAndRedo({$min: {count: 2}}, function (doc) {
+      expect(doc.count).toEqual(2);
+    });
+  });
+
+  it ('can undo and redo $max', function () {
+    undoAndRedo({$max: {count: 8}}, function (doc) {
+      expect(doc.count).toEqual(8);
+    });
+  });
+
+  it ('can undo and redo $currentDate', function () {
+    undoAndRedo({$currentDate: {updatedAt: true}}, function (doc) {
+      expect(doc.updatedAt instanceof Date).toBe(true);
+    });
+  });
+
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Tests for the per-collection rules set with tx.permissions
+ */
+
+describe('per-collection permission rules', function () {
+  var fooDocId;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 0});
+  });
+
+  afterEach(function () {
+    tx._permissionRules = {};
+    tx.denyByDefault = false;
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  // Makes the update in its own transaction and returns the error, if there was one
+  var updateFoo = function (modifier) {
+    var error = null;
+    tx.start('update foo');
+    fooCollection.update({_id: fooDocId}, modifier, {tx: true});
+    tx.commit(function (err) {
+      error = err;
+    });
+    return error;
+  };
+
+  it ('should deny an action that the collection\'s rule returns false for', function () {
+    var updateRule = jasmine.createSpy('updateRule').and.callFake(function (userId, doc, modifier) {
+      return !(modifier.$set && modifier.$set.a > 10);
+    });
+    tx.permissions(fooCollection, {update: updateRule});
+
+    // EXECUTE
+    var error = updateFoo({$set: {a: 11}});
+
+    // VERIFY
+    expect(error.error).toEqual('permission-denied');
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+    var args = updateRule.calls.argsFor(0);
+    expect(args[0]).toEqual('or6YSgs6nT8Bs5o6p');
+    expect(args[1]._id).toEqual(fooDocId);
+    expect(args[3]).toEqual('update');
+
+    // An update that the rule allows goes through
+    expect(updateFoo({$set: {a: 5}})).toBeNull();
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(5);
+  });
+
+  it ('should deny actions on collections without rules in deny-by-default mode', function () {
+    tx.denyByDefault = true;
+
+    // EXECUTE
+    var error = updateFoo({$set: {a: 1}});
+
+    // VERIFY
+    expect(error.error).toEqual('permission-denied');
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+
+    // Once there's a rule for updates, they go through, but there's still no rule for removes
+    tx.permissions('fooCollection', {update: function () { return true; }});
+    expect(updateFoo({$set: {a: 1}})).toBeNull();
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+    tx.start('remove foo');
+    fooCollection.remove({_id: fooDocId}, {tx: true});
+    tx.commit(function (err) {
+      error = err;
+    });
+    expect(error.error).toEqual('permission-denied');
+    expect(fooCollection.findOne({_id: fooDocId})).toBeDefined();
+  });
+
+  it ('should use the undo rule instead of the rule for the original action when undoing', function () {
+    var success;
+    tx.permissions(fooCollection, {update: function () { return true; }, undo: function (userId, doc, modifier, action) {
+      return action !== 'update';
+    }});
+    updateFoo({$set: {a: 1}});
+
+    // EXECUTE
+    tx.undo(function (err, res) {
+      success = res;
+    });
+
+    // VERIFY
+    expect(success).toBe(false);
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+    expect(tx.Transactions.findOne().expired).toBe(true);
+  });
+
+  it ('should use the redo rule instead of the rule for the original action when redoing', function () {
+    var success;
+    tx.permissions(fooCollection, {update: function () { return true; }, redo: function () { return false; }});
+    updateFoo({$set: {a: 1}});
+    tx.undo();
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+
+    // EXECUTE
+    tx.redo(function (err, res) {
+      success = res;
+    });
+
+    // VERIFY
+    expect(success).toBe(false);
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+  });
+
+  it ('should still apply tx.checkPermission', function () {
+    var checkPermission = tx.checkPermission;
+    tx.checkPermission = function () { return false; };
+    tx.permissions(fooCollection, {update: function () { return true; }});
+
+    // EXECUTE
+    var error = updateFoo({$set: {a: 1}});
+    tx.checkPermission = checkPermission;
+
+    // VERIFY
+    expect(error.error).toEqual('permission-denied');
+  });
+
+  it ('should not accept rules for unknown actions', function () {
+    expect(function () {
+      tx.permissions(fooCollection, {upsert: function () { return true; }});
+    }).toThrow();
+  });
+
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Tests for the validation of items committed to _meteorTransactionsProcess
+ */
+
+describe('validation of committed items', function () {
+  var fooDocId, txid;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 0});
+    txid = Random.id();
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  var updateItem = function (fields) {
+    return _.extend({
+      collection: 'fooCollection',
+      _id: fooDocId,
+      action: 'update',
+      state: 'pending',
+      update: {command: '$set', data: [{key: 'a', value: 1}]},
+      inverse: {command: '$set', data: [{key: 'a', value: 0}]}
+    }, fields);
+  };
+
+  // Calls the method as if the items had been sent from the client
+  var processFromClient = function (items) {
+    return Meteor.server.method_handlers._meteorTransactionsProcess.call({connection: {id: 'clientConnection'}, userId: Meteor.userId()}, txid, 'update foo', items, {}, null, null);
+  };
+
+  // Calls the method that records a write the client is making instantly
+  var recordFromClient = function (item) {
+    return Meteor.server.method_handlers._meteorTransactionsRecord.call({connection: {id: 'clientConnection'}, userId: Meteor.userId()}, txid, 'update foo', {}, null, item);
+  };
+
+  it ('should process well formed items from the client', function () {
+    // EXECUTE
+    processFromClient([updateItem()]);
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+    expect(tx.Transactions.findOne({_id: txid}).state).toEqual('done');
+  });
+
+  it ('should reject items that don\'t match the pattern for their action', function () {
+    expect(function () {
+      processFromClient([updateItem({extra: true})]);
+    }).toThrow();
+    expect(function () {
+      processFromClient([updateItem({collection: 'notACollection'})]);
+    }).toThrow();
+    expect(function () {
+      processFromClient([updateItem({update: {command: '$set', data: {a: 1}}})]);
+    }).toThrow();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+    expect(tx.Transactions.find().count()).toEqual(0);
+  });
+
+  it ('should not let items from the client skip the permission check', function () {
+    var error;
+    try {
+      processFromClient([updateItem({noCheck: true})]);
+    }
+    catch (err) {
+      error = err;
+    }
+
+    // VERIFY
+    expect(error.error).toEqual('permission-denied');
+    expect(error.reason).toEqual('overridePermissionCheck can only be used on the server.');
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+  });
+
+  it ('should not let the client say that a write was done instantly if it wasn\'t recorded', function () {
+    expect(function () {
+      processFromClient([updateItem({instant: true, state: 'done'})]);
+    }).toThrow();
+
+    // VERIFY
+    expect(tx.Transactions.find().count()).toEqual(0);
+  });
+
+  it ('should not let the client commit items to another user\'s transaction', function () {
+    tx.Transactions.insert({_id: txid, user_id: 'anotherUserId', description: 'update foo', lastModified: new Date(), state: 'pending', items: []});
+
+    expect(function () {
+      processFromClient([updateItem()]);
+    }).toThrow();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+    expect(tx.Transactions.findOne({_id: txid}).items).toEqual([]);
+  });
+
+  it ('should only honour overridePermissionCheck on undo and redo if the server flagged the transaction', function () {
+    var checkPermission = tx.checkPermission, redone;
+    tx.checkPermission = function () { return false; };
+    tx.start('update foo');
+    fooCollection.update({_id: fooDocId}, {$set: {a: 1}}, {tx: {overridePermissionCheck: true}});
+    tx.commit();
+    var transaction_id = fooCollection.findOne({_id: fooDocId}).transaction_id;
+    expect(tx.Transactions.findOne({_id: transaction_id}).overridePermissionCheck).toBe(true);
+
+    // EXECUTE
+    tx.undo();
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+    // Without the flag written by the server, the noCheck flags on the items aren't enough
+    tx.Transactions.update({_id: transaction_id}, {$unset: {overridePermissionCheck: 1}});
+    tx.redo(function (err, res) {
+      redone = res;
+    });
+    tx.checkPermission = checkPermission;
+
+    // VERIFY
+    expect(redone).toBe(false);
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+  });
+
+  it ('should trust a commit made on the server while a method is running for a client', function () {
+    var checkPermission = tx.checkPermission;
+    tx.checkPermission = function () { return false; };
+    // The commit's own method call inherits the connection of the method invocation it's made in
+    var clientInvocation = {connection: {id: 'clientConnection'}, userId: Meteor.userId(), isSimulation: false, randomSeed: Random.id(), setUserId: function () {}};
+
+    // EXECUTE
+    DDP._CurrentInvocation.withValue(clientInvocation, function () {
+      tx.start('update foo');
+      fooCollection.update({_id: fooDocId}, {$set: {a: 1}}, {tx: {overridePermissionCheck: true}});
+      tx.commit();
+    });
+    tx.checkPermission = checkPermission;
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({_id: fooDocId});
+    expect(fooDoc.a).toEqual(1);
+    var transaction = tx.Transactions.findOne({_id: fooDoc.transaction_id});
+    expect(transaction.state).toEqual('done');
+    expect(transaction.overridePermissionCheck).toBe(true);
+  });
+
+  it ('should record the client\'s instant writes as done, without letting the client say what state they\'re in', function () {
+    // EXECUTE
+    recordFromClient(_.omit(updateItem(), 'state'));
+
+    // VERIFY
+    var transaction = tx.Transactions.findOne({_id: txid});
+    expect(transaction.state).toEqual('pending');
+    expect(transaction.user_id).toEqual('or6YSgs6nT8Bs5o6p');
+    expect(transaction.items[0].instant).toBe(true);
+    expect(transaction.items[0].state).toEqual('done');
+
+    expect(function () {
+      recordFromClient(updateItem({state: 'done'}));
+    }).toThrow();
+    expect(function () {
+      recordFromClient(_.omit(updateItem({instant: true}), 'state'));
+    }).toThrow();
+    expect(function () {
+      recordFromClient(_.omit(updateItem({noCheck: true}), 'state'));
+    }).toThrow();
+    expect(tx.Transactions.findOne({_id: txid}).items.length).toEqual(1);
+  });
+
+  it ('should take the copy of a document that the client removes instantly from the database', function () {
+    var removeItem = {collection: 'fooCollection', _id: fooDocId, action: 'remove', hardDelete: true};
+    expect(function () {
+      recordFromClient(_.extend({doc: {_id: fooDocId, a: 100}}, removeItem));
+    }).toThrow();
+
+    // EXECUTE
+    recordFromClient(removeItem);
+    // The client's remove arrives after the write has been recorded
+    fooCollection.remove({_id: fooDocId});
+    processFromClient([_.extend({instant: true, state: 'done'}, removeItem)]);
+
+    // VERIFY
+    var transaction = tx.Transactions.findOne({_id: txid});
+    expect(transaction.state).toEqual('done');
+    expect(transaction.items[0].doc.a).toEqual(0);
+    tx.undo();
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+  });
+
+  it ('should not let the client undo the remove of a document it forged a copy of', function () {
+    var forgedDoc = {_id: Random.id(), a: 100, transaction_id: txid};
+    var removeItem = {collection: 'fooCollection', _id: forgedDoc._id, action: 'remove', state: 'done', hardDelete: true, doc: forgedDoc};
+    var clientInvocation = {connection: {id: 'clientConnection'}, userId: Meteor.userId(), isSimulation: false};
+
+    // EXECUTE
+    // The client can't write its own finished transaction ...
+    expect(function () {
+      Meteor.server.method_handlers['/transactions/insert'].call(clientInvocation, {_id: txid, user_id: Meteor.userId(), description: 'remove foo', lastModified: new Date(), state: 'done', items: [removeItem]});
+    }).toThrow();
+    // ... or get a forged copy onto the record of one
+    expect(function () {
+      recordFromClient(_.omit(removeItem, 'state'));
+    }).toThrow();
+    expect(function () {
+      processFromClient([_.extend({instant: true}, removeItem)]);
+    }).toThrow();
+    expect(function () {
+      processFromClient([_.extend({}, removeItem, {state: 'pending'})]);
+    }).toThrow();
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: forgedDoc._id})).toBeUndefined();
+  });
+
+});
@@ -81,3 +81,340 @@ describe('state after hardware failure', function () {
     
   })
 })
+
+describe('state after hardware failure during an undo or redo', function () {
+  var transaction_id, fooDocId;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 1, b: 1});
+    tx.start('update foo twice');
+      fooCollection.update({_id: fooDocId}, {$set: {a: 2}}, {tx: true});
+      fooCollection.update({_id: fooDocId}, {$set: {b: 2}}, {tx: true});
+    tx.commit();
+    transaction_id = fooCollection.findOne({_id: fooDocId}).transaction_id;
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  describe('undo', function () {
+
+    beforeEach(function () {
+      // Simulate failure after the undo of the second update (undos go in reverse order)
+      // but before the undo of the first
+      tx.Transactions.update({_id: transaction_id}, {$set: {state: "undoing", "items.1.state": "undone"}});
+      fooCollection.update({_id: fooDocId}, {$set: {b: 1}});
+    });
+
+    it ('can be finished by completing the undo', function () {
+      tx._repairAllIncomplete('complete');
+
+      // VERIFY
+      var recoveredFoo = fooCollection.findOne({_id: fooDocId});
+      expect(recoveredFoo.a).toEqual(1);
+      expect(recoveredFoo.b).toEqual(1);
+      var txDoc = tx.Transactions.findOne({_id: transaction_id});
+      expect(txDoc.items[0].state).toEqual("undone");
+      expect(txDoc.items[1].state).toEqual("undone");
+      expect(txDoc.state).toEqual("undone");
+      expect(txDoc.undone).toBeDefined();
+    });
+
+    it ('can be reversed by rolling back the undo', function () {
+      tx._repairAllIncomplete('rollback');
+
+      // VERIFY
+      var recoveredFoo = fooCollection.findOne({_id: fooDocId});
+      expect(recoveredFoo.a).toEqual(2);
+      expect(recoveredFoo.b).toEqual(2);
+      var txDoc = tx.Transactions.findOne({_id: transaction_id});
+      expect(txDoc.items[0].state).toEqual("done");
+      expect(txDoc.items[1].state).toEqual("done");
+      expect(txDoc.state).toEqual("done");
+    });
+
+  });
+
+  describe('redo', function () {
+
+    beforeEach(function () {
+      tx.undo();
+      // Simulate failure after the redo of the first update but before the redo of the second
+      tx.Transactions.update({_id: transaction_id}, {$set: {state: "redoing", "items.0.state": "done"}});
+      fooCollection.update({_id: fooDocId}, {$set: {a: 2}});
+    });
+
+    it ('can be finished by completing the redo', function () {
+      tx._repairAllIncomplete('complete');
+
+      // VERIFY
+      var recoveredFoo = fooCollection.findOne({_id: fooDocId});
+      expect(recoveredFoo.a).toEqual(2);
+      expect(recoveredFoo.b).toEqual(2);
+      var txDoc = tx.Transactions.findOne({_id: transaction_id});
+      expect(txDoc.items[1].state).toEqual("done");
+      expect(txDoc.state).toEqual("done");
+      expect(txDoc.undone).toBeUndefined();
+    });
+
+    it ('can be reversed by rolling back the redo', function () {
+      tx._repairAllIncomplete('rollback');
+
+      // VERIFY
+      var recoveredFoo = fooCollection.findOne({_id: fooDocId});
+      expect(recoveredFoo.a).toEqual(1);
+      expect(recoveredFoo.b).toEqual(1);
+      var txDoc = tx.Transactions.findOne({_id: transaction_id});
+      expect(txDoc.items[0].state).toEqual("undone");
+      expect(txDoc.items[1].state).toEqual("undone");
+      expect(txDoc.state).toEqual("undone");
+    });
+
+  });
+
+});
+
+describe('recovery with several servers', function () {
+  var transaction_id, fooDocId;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 1});
+    tx.start('update foo');
+      fooCollection.update({_id: fooDocId}, {$set: {a: 2}}, {tx: true});
+    tx.commit();
+    transaction_id = fooCollection.findOne({_id: fooDocId}).transaction_id;
+
+    // Simulate a commit that hasn't written its item yet
+    tx.Transactions.update({_id: transaction_id}, {$set: {state: "pending", "items.0.state": "pending"}});
+    fooCollection.update({_id: fooDocId}, {$set: {a: 1}});
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('should leave a transaction alone while another server holds a lease on it', function () {
+    tx.Transactions.update({_id: transaction_id}, {$set: {owner: 'anotherServer', leaseExpires: new Date(new Date().getTime() + 60000)}});
+
+    tx._repairAllIncomplete('complete');
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+    expect(tx.Transactions.findOne({_id: transaction_id}).state).toEqual("pending");
+  });
+
+  it ('should repair a transaction once the lease on it has expired', function () {
+    tx.Transactions.update({_id: transaction_id}, {$set: {owner: 'anotherServer', leaseExpires: new Date(new Date().getTime() - 1000)}});
+
+    tx._repairAllIncomplete('complete');
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(2);
+    var txDoc = tx.Transactions.findOne({_id: transaction_id});
+    expect(txDoc.state).toEqual("done");
+    expect(txDoc.owner).toBeUndefined();
+    expect(txDoc.leaseExpires).toBeUndefined();
+  });
+
+  it ('should repair a transaction that is still leased at startup once the lease runs out', function () {
+    // A server that went down part way through the commit and restarted before its lease ran out
+    tx.Transactions.update({_id: transaction_id}, {$set: {owner: 'previousInstance', leaseExpires: new Date(new Date().getTime() + 100)}});
+
+    // EXECUTE
+    tx._repairAllIncomplete('complete');
+    var handle = tx._scheduleLeasedRepair('complete');
+
+    // VERIFY
+    expect(handle).not.toBeNull();
+    expect(tx.Transactions.findOne({_id: transaction_id}).state).toEqual("pending");
+    Meteor._sleepForMs(300);
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(2);
+    expect(tx.Transactions.findOne({_id: transaction_id}).state).toEqual("done");
+  });
+
+  it ('should only repair the transactions that were leased when the repair was scheduled', function () {
+    tx.Transactions.update({_id: transaction_id}, {$set: {owner: 'previousInstance', leaseExpires: new Date(new Date().getTime() + 100)}});
+    var handle = tx._scheduleLeasedRepair('complete');
+    // A transaction that gets stuck after startup is left to the recovery sweep
+    var otherDocId = fooCollection.insert({a: 0});
+    tx.start('update foo');
+      fooCollection.update({_id: otherDocId}, {$set: {a: 1}}, {tx: true});
+    tx.commit();
+    var other_id = fooCollection.findOne({_id: otherDocId}).transaction_id;
+    tx.Transactions.update({_id: other_id}, {$set: {state: "pending", "items.0.state": "pending"}});
+
+    // EXECUTE
+    Meteor._sleepForMs(300);
+
+    // VERIFY
+    expect(handle).not.toBeNull();
+    expect(tx.Transactions.findOne({_id: transaction_id}).state).toEqual("done");
+    expect(tx.Transactions.findOne({_id: other_id}).state).toEqual("pending");
+  });
+
+  it ('should only let one repair claim a transaction', function () {
+    var transaction = tx.Transactions.findOne({_id: transaction_id});
+    spyOn(tx, '_repairItem').and.callThrough();
+
+    tx._repairIncomplete(transaction, 'complete');
+    // A second server that read the same transaction document
+    tx._repairIncomplete(transaction, 'complete');
+
+    // VERIFY
+    expect(tx._repairItem.calls.count()).toEqual(1);
+  });
+
+});
+
+describe('background recovery sweep', function () {
+  var transaction_id, fooDocId, longAgo = new Date(new Date().getTime() - 3600000);
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 1});
+    tx.start('update foo');
+      fooCollection.update({_id: fooDocId}, {$set: {a: 2}}, {tx: true});
+    tx.commit();
+    transaction_id = fooCollection.findOne({_id: fooDocId}).transaction_id;
+
+    // Simulate a commit that was abandoned before it wrote its item
+    tx.Transactions.update({_id: transaction_id}, {$set: {state: "pending", "items.0.state": "pending"}});
+    fooCollection.update({_id: fooDocId}, {$set: {a: 1}});
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('should leave transactions that were modified more recently than the threshold', function () {
+    tx._sweepIncomplete('complete');
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+    expect(tx.Transactions.findOne({_id: transaction_id}).state).toEqual("pending");
+  });
+
+  it ('should repair transactions that have been stuck for longer than the threshold', function () {
+    tx.Transactions.update({_id: transaction_id}, {$set: {lastModified: longAgo}});
+
+    tx._sweepIncomplete('complete');
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(2);
+    expect(tx.Transactions.findOne({_id: transaction_id}).state).toEqual("done");
+  });
+
+  it ('should leave a transaction that a client is still building until it has been idle for longer than the threshold', function () {
+    var txid = Random.id();
+    var recordFromClient = function (value, formerValue) {
+      Meteor.server.method_handlers._meteorTransactionsRecord.call({connection: {id: 'clientConnection'}, userId: Meteor.userId()}, txid, 'update foo', {}, null, {
+        collection: 'fooCollection',
+        _id: fooDocId,
+        action: 'update',
+        update: {command: '$set', data: [{key: 'a', value: value}]},
+        inverse: {command: '$set', data: [{key: 'a', value: formerValue}]}
+      });
+    };
+    recordFromClient(3, 1);
+    // The client started building the transaction long ago, but has just recorded another write
+    tx.Transactions.update({_id: txid}, {$set: {lastModified: longAgo}});
+    recordFromClient(4, 3);
+
+    // EXECUTE
+    tx._sweepIncomplete('complete');
+
+    // VERIFY
+    expect(tx.Transactions.findOne({_id: txid}).state).toEqual("pending");
+    tx.Transactions.update({_id: txid}, {$set: {lastModified: longAgo}});
+    tx._sweepIncomplete('complete');
+    expect(tx.Transactions.findOne({_id: txid}).state).toEqual("done");
+  });
+
+  it ('should finish a repair that was interrupted', function () {
+    tx.Transactions.update({_id: transaction_id}, {$set: {state: "rollback", "items.0.state": "done", lastModified: longAgo}});
+    fooCollection.update({_id: fooDocId}, {$set: {a: 2}});
+
+    tx._sweepIncomplete('complete');
+
+    // VERIFY
+    // A transaction in the 'rollback' state always goes on being rolled back, whatever the mode
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+    expect(tx.Transactions.findOne({_id: transaction_id}).state).toEqual("undone");
+  });
+
+});
+
+describe('planning and reporting a repair', function () {
+  var transaction_id, fooDocId;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 1, b: 1});
+    tx.start('update foo twice');
+      fooCollection.update({_id: fooDocId}, {$set: {a: 2}}, {tx: true});
+      fooCollection.update({_id: fooDocId}, {$set: {b: 2}}, {tx: true});
+    tx.commit();
+    transaction_id = fooCollection.findOne({_id: fooDocId}).transaction_id;
+
+    // Simulate failure after the first update but before the second
+    tx.Transactions.update({_id: transaction_id}, {$set: {state: "pending", "items.1.state": "pending"}});
+    fooCollection.update({_id: fooDocId}, {$set: {b: 1}});
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('should plan the writes that a repair would make without making them', function () {
+    var plan = tx.planRepair('complete');
+
+    // VERIFY
+    expect(plan.length).toEqual(1);
+    expect(plan[0].transaction_id).toEqual(transaction_id);
+    expect(plan[0].direction).toEqual('forward');
+    expect(plan[0].items[0].skipped).toBe(true);
+    expect(plan[0].items[0].write).toBeNull();
+    expect(plan[0].items[1].skipped).toBe(false);
+    expect(plan[0].items[1].write).toEqual({method: 'update', selector: {_id: fooDocId}, modifier: {$set: {b: 2}}, checkResult: false});
+    expect(plan[0].items[1].transactionIdMatches).toBe(true);
+    // Nothing has been written
+    expect(fooCollection.findOne({_id: fooDocId}).b).toEqual(1);
+    expect(tx.Transactions.findOne({_id: transaction_id}).state).toEqual("pending");
+  });
+
+  it ('should say when the target document no longer has the transaction\'s id', function () {
+    fooCollection.update({_id: fooDocId}, {$set: {transaction_id: 'someOtherTransaction'}});
+
+    var plan = tx.planRepair('complete');
+
+    // VERIFY
+    expect(plan[0].items[1].transactionIdMatches).toBe(false);
+  });
+
+  it ('should return a report of a real repair', function () {
+    var report = tx._repairAllIncomplete('complete');
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).b).toEqual(2);
+    expect(report.failed.length).toEqual(0);
+    expect(report.succeeded.length).toEqual(1);
+    expect(report.succeeded[0].transaction_id).toEqual(transaction_id);
+    expect(_.pluck(report.succeeded[0].items, 'result')).toEqual(['skipped', 'repaired']);
+  });
+
+});
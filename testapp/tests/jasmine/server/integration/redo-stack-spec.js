@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Tests for clearing the redo stack when a new transaction is committed
+ */
+
+describe('committing after an undo', function () {
+  var fooDocId;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 0, b: 0});
+  });
+
+  afterEach(function () {
+    tx.clearRedoStackOnCommit = false;
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  // Makes the update in its own transaction
+  var updateFoo = function (modifier, options) {
+    tx.start('update foo', options);
+    fooCollection.update({_id: fooDocId}, modifier, {tx: true});
+    tx.commit();
+  };
+
+  it ('should leave the redo stack alone by default', function () {
+    updateFoo({$set: {a: 1}});
+    tx.undo();
+
+    // EXECUTE
+    updateFoo({$set: {b: 1}});
+
+    // VERIFY
+    expect(tx.canRedo()).toBe(true);
+  });
+
+  it ('should expire undone transactions with tx.clearRedoStackOnCommit', function () {
+    tx.clearRedoStackOnCommit = true;
+    updateFoo({$set: {a: 1}});
+    tx.undo();
+    expect(tx.canRedo()).toBe(true);
+
+    // EXECUTE
+    updateFoo({$set: {b: 1}});
+
+    // VERIFY
+    expect(tx.canRedo()).toBe(false);
+    tx.redo();
+    expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+  });
+
+  it ('should only clear the redo stack for the scope of the new transaction', function () {
+    tx.clearRedoStackOnCommit = true;
+    updateFoo({$set: {a: 1}}, {scope: 'pane:a'});
+    tx.undo({scope: 'pane:a'});
+
+    // EXECUTE
+    updateFoo({$set: {b: 1}}, {scope: 'pane:b'});
+
+    // VERIFY
+    expect(tx.canRedo({scope: 'pane:a'})).toBe(true);
+
+    // EXECUTE
+    updateFoo({$set: {b: 2}}, {scope: 'pane:a'});
+
+    // VERIFY
+    expect(tx.canRedo({scope: 'pane:a'})).toBe(false);
+  });
+
+});
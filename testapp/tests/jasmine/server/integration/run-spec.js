@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Tests that tx.run commits when the function returns
+ * and rolls back when the function throws
+ */
+
+describe('tx.run', function () {
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('should commit and return the new _id values', function () {
+    // EXECUTE
+    var result = tx.run('insert foo', function () {
+      fooCollection.insert({foo: "Inserted"}, {tx: true});
+    });
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({foo: "Inserted"});
+    expect(fooDoc).toBeDefined();
+    expect(result.fooCollection[0]).toEqual(fooDoc._id);
+    expect(tx.transactionStarted()).toBe(false);
+  });
+
+  it ('should close the transaction and call back if the function makes no writes', function () {
+    var callback = jasmine.createSpy('callback');
+
+    // EXECUTE
+    var result = tx.run('maybe insert foo', function () {
+      if (fooCollection.findOne({foo: "Trigger"})) {
+        fooCollection.insert({foo: "Inserted"}, {tx: true});
+      }
+    }, callback);
+
+    // VERIFY
+    expect(result).toBe(true);
+    expect(callback).toHaveBeenCalledWith(null, true);
+    expect(tx.transactionStarted()).toBe(false);
+    expect(tx.Transactions.find().count()).toEqual(0);
+  });
+
+  it ('should roll back and rethrow if the function throws', function () {
+    // EXECUTE
+    var run = function () {
+      tx.run('insert foo then fail', function () {
+        fooCollection.insert({foo: "Instant insert"}, {tx: true, instant: true});
+        throw new Error('Something went wrong');
+      });
+    };
+
+    // VERIFY
+    expect(run).toThrowError('Something went wrong');
+    expect(fooCollection.findOne({foo: "Instant insert"})).toBeUndefined();
+    expect(tx.transactionStarted()).toBe(false);
+  });
+
+  it ('should throw the error if the commit rolls the transaction back and there is no callback', function () {
+    var error;
+
+    // EXECUTE
+    try {
+      tx.run('insert foo then cancel', function () {
+        fooCollection.insert({foo: "Instant insert"}, {tx: true, instant: true});
+        tx.cancel();
+      });
+    }
+    catch (err) {
+      error = err;
+    }
+
+    // VERIFY
+    expect(error.error).toEqual('transaction-cancelled');
+    expect(fooCollection.findOne({foo: "Instant insert"})).toBeUndefined();
+    expect(tx.transactionStarted()).toBe(false);
+  });
+
+  it ('should report that no one is logged in', function () {
+    Meteor.userId.and.returnValue(null);
+    var fn = jasmine.createSpy('fn');
+    var callback = jasmine.createSpy('callback');
+
+    // EXECUTE
+    var result = tx.run('insert foo', fn, callback);
+
+    // VERIFY
+    expect(result).toBe(false);
+    expect(fn).not.toHaveBeenCalled();
+    expect(callback.calls.mostRecent().args[0].error).toEqual('not-logged-in');
+    expect(function () {
+      tx.run('insert foo', fn);
+    }).toThrow();
+  });
+
+});
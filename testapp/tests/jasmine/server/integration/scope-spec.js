@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Tests for undo and redo stacks limited to a scope
+ */
+
+describe('scoped undo and redo', function () {
+  var fooDocId, barDocId;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({text: "foo 0"});
+    barDocId = fooCollection.insert({text: "bar 0"});
+
+    tx.start('edit foo', {scope: 'doc:foo'});
+    fooCollection.update({_id: fooDocId}, {$set: {text: "foo 1"}}, {tx: true});
+    tx.commit();
+    tx.start('edit bar', {scope: 'doc:bar'});
+    fooCollection.update({_id: barDocId}, {$set: {text: "bar 1"}}, {tx: true});
+    tx.commit();
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('should store the scope on the transaction', function () {
+    var txDoc = tx.Transactions.findOne({description: 'edit foo'});
+    expect(txDoc.scope).toEqual('doc:foo');
+  });
+
+  it ('should only undo transactions in the given scope', function () {
+    // EXECUTE
+    tx.undo({scope: 'doc:foo'});
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).text).toEqual("foo 0");
+    expect(fooCollection.findOne({_id: barDocId}).text).toEqual("bar 1");
+  });
+
+  it ('should only redo transactions in the given scope', function () {
+    tx.undo({scope: 'doc:foo'});
+    tx.undo({scope: 'doc:bar'});
+
+    // EXECUTE
+    tx.redo({scope: 'doc:foo'});
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooDocId}).text).toEqual("foo 1");
+    expect(fooCollection.findOne({_id: barDocId}).text).toEqual("bar 0");
+  });
+
+  it ('should still undo across scopes without a scope', function () {
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: barDocId}).text).toEqual("bar 0");
+    expect(fooCollection.findOne({_id: fooDocId}).text).toEqual("foo 1");
+  });
+
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Tests for tx.canUndo, tx.canRedo, tx.undoStack and tx.redoStack
+ */
+
+describe('the undo and redo stacks', function () {
+  var fooDocId;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 0});
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  // Makes the update in its own transaction
+  var updateFoo = function (description, modifier) {
+    tx.start(description);
+    fooCollection.update({_id: fooDocId}, modifier, {tx: true});
+    tx.commit();
+  };
+
+  it ('should be empty before anything is done', function () {
+    expect(tx.canUndo()).toBe(false);
+    expect(tx.canRedo()).toBe(false);
+    expect(tx.undoStack()).toEqual([]);
+    expect(tx.redoStack()).toEqual([]);
+  });
+
+  it ('should list transactions latest first, without their items', function () {
+    updateFoo('first', {$set: {a: 1}});
+    updateFoo('second', {$set: {a: 2}});
+
+    // VERIFY
+    expect(tx.canUndo()).toBe(true);
+    var undoStack = tx.undoStack();
+    expect(_.pluck(undoStack, 'description')).toEqual(['second', 'first']);
+    expect(undoStack[0].lastModified instanceof Date).toBe(true);
+    expect(undoStack[0].items).toBeUndefined();
+  });
+
+  it ('should move undone transactions to the redo stack', function () {
+    updateFoo('first', {$set: {a: 1}});
+    updateFoo('second', {$set: {a: 2}});
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(_.pluck(tx.undoStack(), 'description')).toEqual(['first']);
+    expect(tx.canRedo()).toBe(true);
+    var redoStack = tx.redoStack();
+    expect(_.pluck(redoStack, 'description')).toEqual(['second']);
+    expect(redoStack[0].undone instanceof Date).toBe(true);
+  });
+
+  it ('should not include other users\' transactions', function () {
+    Meteor.userId.and.returnValue('anotherUserId');
+    updateFoo('first', {$set: {a: 1}});
+    Meteor.userId.and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    // VERIFY
+    expect(tx.canUndo()).toBe(false);
+  });
+
+});
+
+describe('the publication of the undo and redo stacks', function () {
+  var userId = 'or6YSgs6nT8Bs5o6p', ready;
+
+  beforeEach(function () {
+    ready = jasmine.createSpy('ready');
+  });
+
+  afterEach(function () {
+    tx.Transactions.remove({});
+  });
+
+  // Runs the publication for a subscriber and returns what it published
+  var publish = function (subscriberId) {
+    var cursor = Meteor.server.publish_handlers._meteorTransactionsStack.call({userId: subscriberId, ready: ready});
+    return (cursor) ? cursor.fetch() : [];
+  };
+
+  var insertTransaction = function (fields) {
+    return tx.Transactions.insert(_.extend({user_id: userId, description: 'update foo', lastModified: new Date(), state: 'done', context: {}, items: [{collection: 'fooCollection', _id: 'fooDocId', action: 'update', state: 'done'}]}, fields));
+  };
+
+  it ('should only publish the user\'s own recent transactions that are on the undo or redo stack', function () {
+    var done = insertTransaction();
+    var undone = insertTransaction({state: 'undone', lastModified: new Date(new Date().getTime() - 3600000), undone: new Date()});
+    insertTransaction({state: 'pending'});
+    insertTransaction({expired: true});
+    insertTransaction({user_id: 'anotherUserId'});
+    // Older than tx.undoTimeLimit
+    insertTransaction({lastModified: new Date(new Date().getTime() - (tx.undoTimeLimit + 60) * 1000)});
+
+    // EXECUTE
+    var published = publish(userId);
+
+    // VERIFY
+    expect(_.pluck(published, '_id').sort()).toEqual([done, undone].sort());
+    _.each(published, function (transaction) {
+      expect(transaction.items).toBeUndefined();
+      expect(transaction.context).toBeUndefined();
+    });
+  });
+
+  it ('should publish nothing to a subscriber who isn\'t logged in', function () {
+    insertTransaction({user_id: null});
+
+    // EXECUTE
+    var published = publish(null);
+
+    // VERIFY
+    expect(published).toEqual([]);
+    expect(ready).toHaveBeenCalled();
+  });
+
+});
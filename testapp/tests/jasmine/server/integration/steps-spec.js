@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Tests for undoing and redoing several transactions in one call
+ */
+
+describe('multi-step undo and redo', function () {
+  var fooDocId, transaction_ids;
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+
+    fooDocId = fooCollection.insert({a: 0, b: 0, c: 0});
+    transaction_ids = [];
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  // Makes the update in its own transaction and records the transaction's id
+  var updateFoo = function (modifier) {
+    tx.start('update foo');
+    fooCollection.update({_id: fooDocId}, modifier, {tx: true});
+    tx.commit();
+    transaction_ids.push(fooCollection.findOne({_id: fooDocId}).transaction_id);
+  };
+
+  describe('in sequence', function () {
+
+    beforeEach(function () {
+      updateFoo({$set: {a: 1}});
+      updateFoo({$set: {a: 2}});
+      updateFoo({$set: {a: 3}});
+    });
+
+    it ('should undo the last n transactions with {steps: n}', function () {
+      var success, report;
+
+      // EXECUTE
+      tx.undo({steps: 2}, function (err, res, rep) {
+        success = res;
+        report = rep;
+      });
+
+      // VERIFY
+      expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+      expect(success).toBe(true);
+      expect(report.transaction_ids).toEqual([transaction_ids[2], transaction_ids[1]]);
+      expect(report.expired).toBeNull();
+    });
+
+    it ('should reject a number of steps less than 1', function () {
+      var errors = [];
+
+      // EXECUTE
+      _.each([0, -2], function (steps) {
+        tx.undo({steps: steps}, function (err) {
+          errors.push(err);
+        });
+      });
+
+      // VERIFY
+      expect(errors.length).toEqual(2);
+      expect(errors[0]).toBeTruthy();
+      expect(errors[1]).toBeTruthy();
+      expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(3);
+    });
+
+    it ('should undo back to and including a transaction with undoUntil', function () {
+      // EXECUTE
+      tx.undoUntil(transaction_ids[0]);
+
+      // VERIFY
+      expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(0);
+      expect(tx.Transactions.find({state: 'undone'}).count()).toEqual(3);
+    });
+
+    it ('should redo with {steps: n} and redoUntil', function () {
+      tx.undoUntil(transaction_ids[0]);
+
+      // EXECUTE
+      tx.redo({steps: 1});
+
+      // VERIFY
+      expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(1);
+
+      // EXECUTE
+      tx.redoUntil(transaction_ids[2]);
+
+      // VERIFY
+      expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(3);
+    });
+
+    it ('should report an error for a transaction that is not in the stack', function () {
+      var error;
+
+      // EXECUTE
+      tx.undoUntil('notATransaction', function (err) {
+        error = err;
+      });
+
+      // VERIFY
+      expect(error.error).toEqual('transaction-not-found');
+      expect(fooCollection.findOne({_id: fooDocId}).a).toEqual(3);
+    });
+
+  });
+
+  it ('should stop at the first transaction that has expired', function () {
+    // SETUP
+    updateFoo({$set: {c: 1}});
+    updateFoo({$set: {a: 1}});
+    updateFoo({$set: {b: 1}});
+    // Another user changes the field the second transaction changed
+    Meteor.userId.and.returnValue('anotherUserId');
+    updateFoo({$set: {a: 2}});
+    Meteor.userId.and.returnValue('or6YSgs6nT8Bs5o6p');
+    var success, report;
+
+    // EXECUTE
+    tx.undo({steps: 3}, function (err, res, rep) {
+      success = res;
+      report = rep;
+    });
+
+    // VERIFY
+    expect(success).toBe(false);
+    expect(report.transaction_ids).toEqual([transaction_ids[2]]);
+    expect(report.expired).toEqual(transaction_ids[1]);
+    expect(report.notAttempted).toEqual([transaction_ids[0]]);
+    var fooDoc = fooCollection.findOne({_id: fooDocId});
+    expect(fooDoc.a).toEqual(2);
+    expect(fooDoc.b).toEqual(0);
+    expect(fooDoc.c).toEqual(1);
+  });
+
+});
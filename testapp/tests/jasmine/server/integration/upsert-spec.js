@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Tests for upserts, which are recorded as either an update or an insert
+ */
+
+describe('upserts', function () {
+
+  beforeEach(function () {
+    // Fake userId to get through tx userId checks
+    spyOn(Meteor,'userId').and.returnValue('or6YSgs6nT8Bs5o6p');
+  });
+
+  afterEach(function () {
+    fooCollection.remove({});
+    tx.Transactions.remove({});
+  });
+
+  it ('should record an upsert that matches a document as an update', function () {
+    // SETUP
+    var fooId = fooCollection.insert({slug: "my-post", text: "Original text"});
+
+    // EXECUTE
+    fooCollection.upsert({slug: "my-post"}, {$set: {text: "New text"}}, {tx: true});
+
+    // VERIFY
+    expect(fooCollection.find().count()).toBe(1);
+    expect(fooCollection.findOne({_id: fooId}).text).toBe("New text");
+    var txDoc = tx.Transactions.findOne();
+    expect(txDoc.items[0].action).toBe('update');
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: fooId}).text).toBe("Original text");
+  });
+
+  it ('should record an upsert that matches nothing as an insert built from the selector and modifier', function () {
+    // EXECUTE
+    fooCollection.upsert({slug: "my-post"}, {$set: {text: "New text"}, $setOnInsert: {views: 0}}, {tx: true});
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({slug: "my-post"});
+    expect(fooDoc.text).toBe("New text");
+    expect(fooDoc.views).toBe(0);
+    expect(fooDoc.transaction_id).toBeDefined();
+    var txDoc = tx.Transactions.findOne();
+    expect(txDoc.items[0].action).toBe('insert');
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.findOne({slug: "my-post"})).toBeUndefined();
+
+    // EXECUTE
+    tx.redo();
+
+    // VERIFY
+    expect(fooCollection.findOne({slug: "my-post"}).text).toBe("New text");
+  });
+
+  it ('should treat {upsert: true} on an update the same way', function () {
+    // EXECUTE
+    tx.start('upsert via update');
+    fooCollection.update({slug: "my-post"}, {$set: {text: "New text"}}, {tx: true, upsert: true});
+    tx.commit();
+
+    // VERIFY
+    expect(fooCollection.findOne({slug: "my-post"}).text).toBe("New text");
+    expect(tx.Transactions.findOne().items[0].action).toBe('insert');
+  });
+
+  it ('should record a replacement document as a set of its fields and an unset of the others', function () {
+    // SETUP
+    var fooId = fooCollection.insert({slug: "my-post", text: "Original text", extra: "Extra field"});
+
+    // EXECUTE
+    fooCollection.upsert({_id: fooId}, {slug: "my-post", text: "Replaced text"}, {tx: true});
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({_id: fooId});
+    expect(fooDoc.text).toBe("Replaced text");
+    expect(fooDoc.extra).toBeUndefined();
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    fooDoc = fooCollection.findOne({_id: fooId});
+    expect(fooDoc.text).toBe("Original text");
+    expect(fooDoc.extra).toBe("Extra field");
+  });
+
+  it ('should insert a document with the _id from the selector when nothing matches it', function () {
+    // EXECUTE
+    fooCollection.upsert("upsertedId", {$set: {text: "New text"}}, {tx: true});
+    tx.start('upsert foo');
+    fooCollection.upsert({_id: "queuedUpsertId"}, {text: "Replacement text"}, {tx: true});
+    tx.commit();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: "upsertedId"}).text).toBe("New text");
+    expect(fooCollection.findOne({_id: "queuedUpsertId"}).text).toBe("Replacement text");
+
+    // EXECUTE
+    tx.undo();
+
+    // VERIFY
+    expect(fooCollection.findOne({_id: "queuedUpsertId"})).toBeUndefined();
+    expect(fooCollection.findOne({_id: "upsertedId"})).toBeDefined();
+  });
+
+  it ('should insert a document with the _id and the other equality matches of a selector that nothing matches', function () {
+    // EXECUTE
+    fooCollection.upsert({_id: "upsertedId", slug: "my-post"}, {$set: {text: "New text"}}, {tx: true});
+
+    // VERIFY
+    var fooDoc = fooCollection.findOne({_id: "upsertedId"});
+    expect(fooDoc.slug).toBe("my-post");
+    expect(fooDoc.text).toBe("New text");
+  });
+
+});
@@ -17,4 +17,65 @@ describe('passing an object and a dot delimited key to tx._drillDown', function
     var testObj = {};
     expect(tx._drillDown(testObj, 'a')).toBeUndefined();
   });
-});
\ No newline at end of file
+});
+
+/**
+ * Tests the function that makes an inverse operation
+ * from the values that fields held before an update
+ */
+
+describe('passing former field values to tx._inverseFromFormerValues', function () {
+  it('should return a $set if all the fields had values', function () {
+    expect(tx._inverseFromFormerValues({a: 1, b: "two"})).toEqual({command: '$set', data: {a: 1, b: "two"}});
+  });
+  it('should return an $unset if none of the fields had values', function () {
+    expect(tx._inverseFromFormerValues({a: undefined})).toEqual({command: '$unset', data: {a: ''}});
+  });
+  it('should return a compound inverse if only some of the fields had values', function () {
+    expect(tx._inverseFromFormerValues({a: 1, b: undefined})).toEqual([{command: '$set', data: {a: 1}}, {command: '$unset', data: {b: ''}}]);
+  });
+});
+
+/**
+ * Tests the function that finds the shortest path of a missing field
+ */
+
+describe('passing an object and a dot delimited key to tx._missingAncestor', function () {
+  it('should return the shortest path that is not in the object', function () {
+    expect(tx._missingAncestor({a: {}}, 'a.b.c')).toEqual('a.b');
+  });
+  it('should return the key if only the last field is missing', function () {
+    expect(tx._missingAncestor({a: {b: {}}}, 'a.b.c')).toEqual('a.b.c');
+  });
+});
+
+/**
+ * Tests that values packaged for storage come back as the same types
+ */
+
+describe('packaging values with tx._packageForStorage and unpackaging them with tx._unpackageForUpdate', function () {
+  var roundTrip = function (value) {
+    var packaged = tx._packageForStorage({command: '$set', data: {a: value}});
+    return tx._unpackageForUpdate(packaged.data).a;
+  };
+  it('should return a date as a date', function () {
+    var date = new Date(2015, 5, 1);
+    var value = roundTrip({when: date});
+    expect(value.when instanceof Date).toBe(true);
+    expect(value.when.getTime()).toEqual(date.getTime());
+  });
+  it('should return an ObjectID as an ObjectID', function () {
+    var objectId = new Mongo.ObjectID();
+    var value = roundTrip([objectId]);
+    expect(value[0] instanceof Mongo.ObjectID).toBe(true);
+    expect(EJSON.equals(value[0], objectId)).toBe(true);
+  });
+  it('should return binary data as binary data', function () {
+    var binary = EJSON.newBinary(3);
+    binary[0] = 1; binary[1] = 2; binary[2] = 3;
+    expect(EJSON.equals(roundTrip({data: binary}), {data: binary})).toBe(true);
+  });
+  it('should unpackage values stored as plain JSON', function () {
+    expect(tx._unpackageForUpdate([{key: 'a', value: {json: '{"b":[1,2]}'}}])).toEqual({a: {b: [1, 2]}});
+  });
+});